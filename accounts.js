@@ -20,9 +20,17 @@
 const mongo = require('./mongodb-library.js');
 // Import the crypto module, used for encrypting a given username and password
 const crypto = require('crypto');
-const fs = require('fs');;
+const catalog = require('./catalog.js');
+const validation = require('./validation.js');
+const patterns = require('./patterns.js');
+const analytics = require('./analytics.js');
+const limits = require('./limits.js');
+const history = require('./history.js');
 var ObjectID = require('mongodb').ObjectID;
 
+// The most operations a single batch edit of a schedule can have
+const BATCH_LIMIT = 200;
+
 /**
  * Decrypt the hash/salt using a password and return true if the password is correct.
  * 
@@ -334,6 +342,7 @@ async function verify_session(hash) {
  */
 async function get_user_schedules(user_id) {
     let schedules = await mongo.get_data({"user_id": user_id}, "Accounts", "schedules");
+    await resolve_forks(schedules);
     // Trim _id and user_id
     for (let i = 0; i < schedules.length; i++) {
         delete schedules[i]["_id"];
@@ -343,42 +352,310 @@ async function get_user_schedules(user_id) {
 }
 
 /**
- * Create a new schedule in the Accounts database for a user.
+ * Keep only the well formed semesters of a schedule sent by a client (such as a generated plan),
+ * dropping the semesters without classes.
+ * @param {Array} semesters An array of {SEASON, YEAR, CLASSES} objects
+ * @returns {Array} The cleaned semesters
+ */
+function clean_semesters(semesters) {
+    if (!Array.isArray(semesters)) {
+        return [];
+    }
+    return semesters.filter((semester) => semester != null && validation.SEASON_ORDER.includes(semester["SEASON"]) &&
+        !isNaN(Number(semester["YEAR"])) && Array.isArray(semester["CLASSES"]))
+        .map((semester) => ({
+            "SEASON": semester["SEASON"],
+            "YEAR": Number(semester["YEAR"]),
+            "CLASSES": semester["CLASSES"].filter((acr) => typeof acr == "string")
+        }))
+        .filter((semester) => semester["CLASSES"].length > 0);
+}
+
+/**
+ * Find the schedules of a user with a name, oldest first. A schedule that was renamed is still
+ * found by its PREVIOUS_NAMES (so links to the builder keep working), unless another schedule has that NAME now.
+ * @param {String} user_id
+ * @param {String} name
+ * @returns {Array} The schedules as stored (more than one only for duplicates made before names were unique)
+ */
+async function find_schedules(user_id, name) {
+    let schedules = await mongo.get_data({"user_id": user_id, "NAME": name}, "Accounts", "schedules");
+    if (schedules.length == 0) {
+        schedules = await mongo.get_data({"user_id": user_id, "PREVIOUS_NAMES": name}, "Accounts", "schedules");
+    }
+    return schedules.sort((a, b) => (a["created"] || 0) - (b["created"] || 0));
+}
+
+/**
+ * Check that a name can be given to one of a user's schedules: names are unique per user.
+ * @param {String} user_id
+ * @param {String} name
+ * @returns {JSON} null if the name can be used, else a JSON object detailing why not
+ */
+async function check_schedule_name(user_id, name) {
+    if (typeof name != "string" || name.trim() == "") {
+        return {"info": "THE SCHEDULE NEEDS A NAME.", valid: false};
+    }
+    if ((await mongo.get_data({"user_id": user_id, "NAME": name}, "Accounts", "schedules")).length > 0) {
+        return {"info": "A SCHEDULE WITH THAT NAME ALREADY EXISTS.", valid: false};
+    }
+    return null;
+}
+
+/**
+ * Give a name to one of a user's schedules, so that it no longer finds the schedule that used to have it.
+ * @param {String} user_id
+ * @param {String} name
+ */
+async function claim_schedule_name(user_id, name) {
+    await mongo.update_docs({"user_id": user_id, "PREVIOUS_NAMES": name}, {$pull: {"PREVIOUS_NAMES": name}}, "Accounts", "schedules");
+}
+
+/**
+ * Make names unique per user in the database itself, with a unique index on {user_id, NAME}, so that
+ * two requests giving a schedule the same name at once can't both succeed (check_schedule_name only
+ * gives the friendlier answer). Should duplicates made before names were unique stop the index from
+ * being created, every duplicate but the oldest (which fetching by the name finds) is renamed first,
+ * as in "My Schedule (2)".
+ */
+async function index_schedule_names() {
+    try {
+        try {
+            await mongo.create_index({"user_id": 1, "NAME": 1}, {unique: true}, "Accounts", "schedules");
+            return;
+        } catch (error) {
+            if (!mongo.is_duplicate_key(error)) {
+                throw error;
+            }
+        }
+        let schedules = (await mongo.get_data({}, "Accounts", "schedules"))
+            .sort((a, b) => (a["created"] || 0) - (b["created"] || 0));
+        let key = (schedule, name) => schedule["user_id"] + "\n" + name;
+        let taken = new Set(schedules.map((schedule) => key(schedule, schedule["NAME"])));
+        let kept = new Set();
+        for (let schedule of schedules) {
+            let name = schedule["NAME"];
+            if (!kept.has(key(schedule, name))) {
+                kept.add(key(schedule, name));
+                continue;
+            }
+            let copy = 2;
+            while (taken.has(key(schedule, name + " (" + copy + ")"))) {
+                copy++;
+            }
+            taken.add(key(schedule, name + " (" + copy + ")"));
+            await mongo.update_docs({"_id": schedule["_id"]}, {$set: {"NAME": name + " (" + copy + ")"}}, "Accounts", "schedules");
+            console.log("RENAMED A DUPLICATE SCHEDULE \"" + name + "\" OF " + schedule["USERNAME"] + " TO \"" + name + " (" + copy + ")\".");
+        }
+        await mongo.create_index({"user_id": 1, "NAME": 1}, {unique: true}, "Accounts", "schedules");
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN INDEXING SCHEDULE NAMES. " + error.message);
+    }
+}
+
+/**
+ * Get the filter matching a single stored schedule (fetch_schedule trims its _id).
+ * @param {String} user_id
+ * @param {JSON} schedule A schedule from fetch_schedule
+ * @returns {JSON} The filter
+ */
+function schedule_filter(user_id, schedule) {
+    return {user_id: user_id, "NAME": schedule["NAME"], "created": schedule["created"]};
+}
+
+/**
+ * Create a new schedule in the Accounts database for a user. The schedule
+ * is pinned to the catalog year it is built against, and records the GE
+ * patterns (IGETC, CSU GE Breadth, etc.) the student is considering.
  * @param {String} user_id 
  * @param {Array} majors 
  * @param {Array} universities 
  * @param {String} name 
+ * @param {String} catalog_year Defaults to the newest catalog if missing or unknown
+ * @param {Array} ge_patterns The names of the GE patterns, defaults to patterns.DEFAULT_PATTERNS
+ * @param {Array} semesters (Optional) The semesters to start the schedule with (such as a generated plan), defaults to none
+ * @returns {JSON} {"info": "SUCCESS", valid: true}, or a JSON object detailing why the schedule wasn't created
  */
-async function create_schedule(user_id, majors, universities, name) {
-    mongo.add_data({
-        user_id: user_id,
-        "USERNAME": await get_account_username(user_id),
-        "SEMESTERS": [],
-        "MAJORS": majors,
-        "UNIVERSITIES": universities,
-        "CREDITS": 0.0,
-        "NAME": name,
-        "created": (new Date()).getTime()
-    }, "Accounts", "schedules");
+async function create_schedule(user_id, majors, universities, name, catalog_year, ge_patterns, semesters) {
+    let problem = await check_schedule_name(user_id, name);
+    if (problem != null) {
+        return problem;
+    }
+    catalog_year = catalog.resolve_catalog_year(catalog_year) || catalog.default_catalog_year();
+    ge_patterns = (Array.isArray(ge_patterns) ? ge_patterns : []).filter((pattern) => patterns.pattern_names().includes(pattern));
+    if (ge_patterns.length == 0) {
+        ge_patterns = patterns.DEFAULT_PATTERNS;
+    }
+    let schedule = {"CATALOG_YEAR": catalog_year, "SEMESTERS": clean_semesters(semesters)};
+    try {
+        await mongo.add_data({
+            user_id: user_id,
+            "USERNAME": await get_account_username(user_id),
+            "SEMESTERS": schedule["SEMESTERS"],
+            "MAJORS": majors,
+            "UNIVERSITIES": universities,
+            "CREDITS": calculate_credits(schedule),
+            "UC_CREDITS": limits.apply_limits(schedule, "UC")["COUNTED"],
+            "NAME": name,
+            "CATALOG_YEAR": catalog_year,
+            "GE_PATTERNS": ge_patterns,
+            "HISTORY": [],
+            "HISTORY_INDEX": 0,
+            "created": (new Date()).getTime()
+        }, "Accounts", "schedules");
+    } catch (error) {
+        // Another request gave a schedule this name after it was checked
+        if (mongo.is_duplicate_key(error)) {
+            return {"info": "A SCHEDULE WITH THAT NAME ALREADY EXISTS.", valid: false};
+        }
+        throw error;
+    }
+    await claim_schedule_name(user_id, name);
+    return {"info": "SUCCESS", valid: true};
+}
+
+/**
+ * Show the current NAME and USERNAME of the schedules that schedules were forked from, found by the
+ * ID of their FORKED_FROM (so a fork still names its original after the original is renamed).
+ * Originals that were deleted, and forks made before the ID was recorded, keep the names recorded.
+ * @param {Array} schedules The schedules, whose FORKED_FROM are changed in place
+ */
+async function resolve_forks(schedules) {
+    let ids = [];
+    for (let schedule of schedules) {
+        try {
+            ids.push(ObjectID(schedule["FORKED_FROM"]["ID"]));
+        } catch (error) {} // Not a fork, or forked before the ID was recorded
+    }
+    if (ids.length == 0) {
+        return;
+    }
+    let sources = await mongo.get_data({"_id": {$in: ids}}, "Accounts", "schedules");
+    for (let schedule of schedules) {
+        let source = sources.find((other) => schedule["FORKED_FROM"] != undefined && other["_id"].toString() == schedule["FORKED_FROM"]["ID"]);
+        if (source != undefined) {
+            schedule["FORKED_FROM"]["NAME"] = source["NAME"];
+            schedule["FORKED_FROM"]["USERNAME"] = source["USERNAME"];
+        }
+    }
 }
 
 /**
- * Delete the schedule with the given name and user_id.
+ * Copy another student's schedule (as listed in the database browser) into a user's account under a
+ * new name. The copy records the schedule it was forked from in FORKED_FROM (by its ID, see resolve_forks)
+ * and starts with an empty edit history, and the original schedule's FORKS counts the times other
+ * students forked it.
+ * @param {String} user_id The user making the copy
+ * @param {String} source_id The ID of the original schedule (as sent by fetch_schedules_batch)
+ * @param {String} name The NAME of the copy
+ * @returns {JSON} {"info": "SUCCESS", valid: true}, or a JSON object detailing why the schedule wasn't copied
+ */
+async function fork_schedule(user_id, source_id, name) {
+    let problem = await check_schedule_name(user_id, name);
+    if (problem != null) {
+        return problem;
+    }
+    let sources = [];
+    try {
+        sources = await mongo.get_data({"_id": ObjectID(source_id)}, "Accounts", "schedules");
+    } catch (error) {} // Not an ID
+    if (sources.length == 0) {
+        return {"info": "THE SCHEDULE DOES NOT EXIST.", valid: false};
+    }
+    let source = sources[0];
+    let schedule = {
+        "CATALOG_YEAR": source["CATALOG_YEAR"] || catalog.LEGACY_CATALOG_YEAR,
+        "SEMESTERS": clean_semesters(source["SEMESTERS"])
+    };
+    try {
+        await mongo.add_data({
+            user_id: user_id,
+            "USERNAME": await get_account_username(user_id),
+            "SEMESTERS": schedule["SEMESTERS"],
+            "MAJORS": source["MAJORS"],
+            "UNIVERSITIES": source["UNIVERSITIES"],
+            "CREDITS": calculate_credits(schedule),
+            "UC_CREDITS": limits.apply_limits(schedule, "UC")["COUNTED"],
+            "NAME": name,
+            "CATALOG_YEAR": schedule["CATALOG_YEAR"],
+            "GE_PATTERNS": source["GE_PATTERNS"] || patterns.DEFAULT_PATTERNS,
+            "HISTORY": [],
+            "HISTORY_INDEX": 0,
+            "FORKED_FROM": {"ID": source["_id"].toString(), "USERNAME": source["USERNAME"], "NAME": source["NAME"], "created": source["created"]},
+            "created": (new Date()).getTime()
+        }, "Accounts", "schedules");
+    } catch (error) {
+        // Another request gave a schedule this name after it was checked
+        if (mongo.is_duplicate_key(error)) {
+            return {"info": "A SCHEDULE WITH THAT NAME ALREADY EXISTS.", valid: false};
+        }
+        throw error;
+    }
+    await claim_schedule_name(user_id, name);
+    // Copies of a student's own schedule aren't counted as forks
+    if (source["user_id"] != user_id) {
+        await mongo.update_docs({"_id": source["_id"]}, {$inc: {"FORKS": 1}}, "Accounts", "schedules");
+    }
+    return {"info": "SUCCESS", valid: true};
+}
+
+/**
+ * Rename one of a user's schedules. The old name is kept in PREVIOUS_NAMES, so the schedule
+ * is still found by it (see find_schedules) until another schedule is given that name.
+ * @param {String} user_id
+ * @param {String} name The schedule's current (or a previous) name
+ * @param {String} new_name
+ * @returns {JSON} {"info": "SUCCESS", valid: true}, or a JSON object detailing why the schedule wasn't renamed
+ */
+async function rename_schedule(user_id, name, new_name) {
+    let schedules = await find_schedules(user_id, name);
+    if (schedules.length == 0) {
+        return {"info": "THE SCHEDULE DOES NOT EXIST.", valid: false};
+    }
+    let schedule = schedules[0];
+    if (schedule["NAME"] == new_name) {
+        return {"info": "SUCCESS", valid: true};
+    }
+    let problem = await check_schedule_name(user_id, new_name);
+    if (problem != null) {
+        return problem;
+    }
+    let previous = (schedule["PREVIOUS_NAMES"] || []).filter((other) => other != new_name && other != schedule["NAME"]);
+    previous.push(schedule["NAME"]);
+    try {
+        await mongo.update_docs(schedule_filter(user_id, schedule), {$set: {"NAME": new_name, "PREVIOUS_NAMES": previous}}, "Accounts", "schedules");
+    } catch (error) {
+        // Another request gave a schedule this name after it was checked
+        if (mongo.is_duplicate_key(error)) {
+            return {"info": "A SCHEDULE WITH THAT NAME ALREADY EXISTS.", valid: false};
+        }
+        throw error;
+    }
+    await claim_schedule_name(user_id, new_name);
+    return {"info": "SUCCESS", valid: true};
+}
+
+/**
+ * Delete the schedule with the given name and user_id (only the oldest, should the user
+ * have duplicates made before names were unique).
  * @param {*} user_id 
  * @param {*} name 
  */
 async function delete_schedule(user_id, name) {
-    await mongo.delete_docs_q({user_id: user_id, "NAME": name}, "Accounts", "schedules")
+    let schedules = await find_schedules(user_id, name);
+    if (schedules.length > 0) {
+        await mongo.delete_doc_id(schedules[0]["_id"], "Accounts", "schedules");
+    }
 }
 
 /**
- * Fetch the schedule with a given user id and name.
+ * Fetch the schedule with a given user id and name (or a previous name, see find_schedules).
  * @param {String} user_id 
  * @param {String} name 
  * @returns the schedule object, if not found then JSON object detailing validity
  */
 async function fetch_schedule(user_id, name) {
-    let schedules = await mongo.get_data({"user_id": user_id, "NAME": name}, "Accounts", "schedules");
+    let schedules = await find_schedules(user_id, name);
     if (schedules.length == 0) {
         return {"info": "DOES NOT EXIST", valid: false};
     }
@@ -386,19 +663,96 @@ async function fetch_schedule(user_id, name) {
     let return_me = schedules[0];
     delete return_me["_id"];
     delete return_me["user_id"];
+    // Schedules made before catalog years were recorded were built against the first catalog
+    if (return_me["CATALOG_YEAR"] == undefined) {
+        return_me["CATALOG_YEAR"] = catalog.LEGACY_CATALOG_YEAR;
+    }
+    // Schedules made before GE patterns were picked are evaluated against the default patterns
+    if (return_me["GE_PATTERNS"] == undefined) {
+        return_me["GE_PATTERNS"] = patterns.DEFAULT_PATTERNS;
+    }
     return return_me;
 }
 
 /**
- * Edit a schedule based on the type provided.
+ * Calculate the total units of every class in a schedule, using the catalog
+ * the schedule was built against (see analytics.counted_classes for the classes that count).
+ * @param {JSON} schedule
+ * @returns {Number} The total units
+ */
+function calculate_credits(schedule) {
+    return analytics.sum_units(analytics.counted_classes(schedule))["TOTAL"];
+}
+
+/**
+ * Find the classes of a schedule that a class is cross-listed with.
+ * @param {JSON} schedule 
+ * @param {String} acr 
+ * @returns {Array} An array of {acr, season, year} objects, one for every cross-listed class in the schedule
+ * (at its first occurrence)
+ */
+function find_cross_listed(schedule, acr) {
+    let year = catalog.schedule_catalog_year(schedule);
+    let found = [];
+    for (let semester of schedule["SEMESTERS"]) {
+        for (let other of semester["CLASSES"]) {
+            if (other != acr && catalog.are_equivalent(acr, other, year) && !found.some((entry) => entry["acr"] == other)) {
+                found.push({"acr": other, "season": semester["SEASON"], "year": semester["YEAR"]});
+            }
+        }
+    }
+    return found;
+}
+
+/**
+ * Embed the catalog details of every class in a schedule under its COURSES
+ * property, so that the client doesn't need to look each class up on its own.
+ * @param {JSON} schedule 
+ * @returns {JSON} The same schedule, with COURSES mapping every ACR to its class (or null)
+ */
+function attach_course_details(schedule) {
+    let acrs = [];
+    for (let semester of schedule["SEMESTERS"]) {
+        acrs.push(...semester["CLASSES"]);
+    }
+    schedule["COURSES"] = catalog.get_courses(acrs, catalog.schedule_catalog_year(schedule));
+    return schedule;
+}
+
+/**
+ * Warn about adding the second half of a cross-listed pair, which earns no more units.
+ * @param {JSON} schedule
+ * @param {String} acr The class added
+ * @param {String} season The term it was added to
+ * @param {String} year
+ * @returns {Array} A CROSS_LISTED warning for every class of the schedule cross-listed with the class
+ */
+function cross_listed_warnings(schedule, acr, season, year) {
+    return find_cross_listed(schedule, acr).map((other) => ({
+        "type": "CROSS_LISTED",
+        "acr": acr,
+        "season": season,
+        "year": year,
+        "equivalent": other["acr"],
+        "message": acr + " is cross-listed with " + other["acr"] + " (" + other["season"] + " " + other["year"] + ") and will not earn units twice."
+    }));
+}
+
+/**
+ * Edit a schedule based on the type provided, recording the edit in its history (see history.js).
  * @param {String} user_id 
- * @param {String} type "ADD" / "REMOVE"
+ * @param {String} type "ADD" / "REMOVE" / "MOVE"
  * @param {String} name 
  * @param {String} acr 
  * @param {String} season 
  * @param {String} year 
+ * @param {String} to_season (MOVE only) The season of the term to move the class to
+ * @param {String} to_year (MOVE only) The year of the term to move the class to
+ * @returns {JSON} The edited schedule, with WARNINGS listing any problems with the edit, such as
+ * [{"type": "CROSS_LISTED", "acr": "MUS-100", "season", "year", "equivalent": "ART-100", "message": [STRING]}],
+ * followed by the warnings about every class of the schedule (see validation.check_classes)
  */
-async function edit_schedule(user_id, type, name, acr, season, year) {
+async function edit_schedule(user_id, type, name, acr, season, year, to_season, to_year) {
     // First, fetch the schedule.
     let schedule = await fetch_schedule(user_id, name);
     if (schedule.valid == false) {
@@ -406,61 +760,88 @@ async function edit_schedule(user_id, type, name, acr, season, year) {
     }
 
     // Make the change based on the type of change requested
-    if (type == "ADD") {
-        // First, check if the semester we are adding to already exists
-        let needNewSemester = true;
-        for (let i = 0; i < schedule["SEMESTERS"].length; i++) {
-            if (schedule["SEMESTERS"][i]["SEASON"] == season && schedule["SEMESTERS"][i]["YEAR"] == year) {
-                needNewSemester = false;
-                schedule["SEMESTERS"][i]["CLASSES"].push(acr);
-            }
-        }
-        if (needNewSemester) {
-            schedule["SEMESTERS"].push({
-                "SEASON": season,
-                "YEAR": year,
-                "CLASSES": [acr]
-            });
-        }
-    } else { // Remove the instance of the class acr for the semester/year chosen
-        for (let i = 0; i < schedule["SEMESTERS"].length; i++) {
-            if (schedule["SEMESTERS"][i]["SEASON"] == season && schedule["SEMESTERS"][i]["YEAR"] == year) {
-                let j = 0;
-                while (j < schedule["SEMESTERS"][i]["CLASSES"].length) {
-                    if (schedule["SEMESTERS"][i]["CLASSES"][j] == acr) {
-                        schedule["SEMESTERS"][i]["CLASSES"].splice(j, 1);
-                        break;
-                    }
-                    j++;
-                }
-            }
+    let warnings = [];
+    let operation = {"TYPE": type == "ADD" || type == "MOVE" ? type : "REMOVE", "ACR": acr, "SEASON": season, "YEAR": year};
+    if (type == "MOVE") {
+        // A class can only be moved to a real term
+        if (!validation.SEASON_ORDER.includes(to_season) || isNaN(Number(to_year))) {
+            return {"info": "THE TERM TO MOVE TO IS INVALID.", valid: false};
         }
+        operation["TO_SEASON"] = to_season;
+        operation["TO_YEAR"] = to_year;
+    }
+    if (type == "ADD") {
+        warnings = cross_listed_warnings(schedule, acr, season, year);
+    }
+    // Remember the edit so it can be undone (removing a class that isn't there changes nothing)
+    if (history.apply_operation(schedule["SEMESTERS"], operation)) {
+        history.record_operation(schedule, operation);
     }
 
-    // Trim semesters with empty classes
-    let i = 0;
-    while (i < schedule["SEMESTERS"].length) {
-        if (schedule["SEMESTERS"][i]["CLASSES"].length == 0) {
-            schedule["SEMESTERS"].splice(i, 1);
+    return await save_schedule_edit(user_id, schedule, warnings);
+}
+
+/**
+ * Apply several edits to a schedule at once: either every edit lands or none do, the credits
+ * are calculated once, and the edits are recorded (and undone) as a single BATCH of its history.
+ * Unlike a single edit, a REMOVE or MOVE of a class that isn't in its term fails the batch.
+ * @param {String} user_id
+ * @param {String} name
+ * @param {Array} edits An array of {type: "ADD" / "REMOVE" / "MOVE", acr, season, year, toSeason, toYear} objects,
+ * applied in order
+ * @returns {JSON} The edited schedule (see edit_schedule), or a JSON object detailing why no edit was applied
+ */
+async function batch_edit_schedule(user_id, name, edits) {
+    let schedule = await fetch_schedule(user_id, name);
+    if (schedule.valid == false) {
+        return {"info": "THE SCHEDULE DOES NOT EXIST.", valid: false};
+    }
+    if (edits.length == 0 || edits.length > BATCH_LIMIT) {
+        return {"info": "AN EDIT NEEDS FROM 1 TO " + BATCH_LIMIT + " OPERATIONS.", valid: false};
+    }
+
+    // Every operation must name a class and real terms
+    let operations = [];
+    for (let i = 0; i < edits.length; i++) {
+        let edit = edits[i] || {};
+        let isTerm = (season, year) => validation.SEASON_ORDER.includes(season) && year !== "" && !isNaN(Number(year));
+        if (!["ADD", "REMOVE", "MOVE"].includes(edit.type) || typeof edit.acr != "string" || !isTerm(edit.season, edit.year) ||
+            (edit.type == "MOVE" && !isTerm(edit.toSeason, edit.toYear))) {
+            return {"info": "OPERATION " + (i + 1) + " OF THE EDIT IS INVALID.", valid: false};
         }
-        i++;
-    }
-
-    // Calculate credits and set accordingly
-    let data = JSON.parse(fs.readFileSync("2021_2022_class_data.json"));
-    let credits = 0;
-    for (let i = 0; i < schedule["SEMESTERS"].length; i++) {
-        for (let j = 0; j < schedule["SEMESTERS"][i]["CLASSES"].length; j++) {
-            let course = schedule["SEMESTERS"][i]["CLASSES"][j];
-            for (let class_obj of data["CLASSES"]) {
-                if (class_obj["AREA-ACR"] == course) {
-                    credits += class_obj["UNITS"];
-                    break;
-                }
-            }
+        let operation = {"TYPE": edit.type, "ACR": edit.acr, "SEASON": edit.season, "YEAR": edit.year};
+        if (edit.type == "MOVE") {
+            operation["TO_SEASON"] = edit.toSeason;
+            operation["TO_YEAR"] = edit.toYear;
         }
+        operations.push(operation);
     }
-    schedule["CREDITS"] = credits;
+
+    let batch = {"TYPE": "BATCH", "OPERATIONS": operations};
+    if (!history.apply_operation(schedule["SEMESTERS"], batch)) {
+        return {"info": "OPERATION " + (batch["FAILED"] + 1) + " OF THE EDIT COULD NOT BE APPLIED, SO NO OPERATION WAS.", valid: false};
+    }
+    history.record_operation(schedule, batch);
+
+    let warnings = [];
+    for (let operation of operations.filter((operation) => operation["TYPE"] == "ADD")) {
+        warnings.push(...cross_listed_warnings(schedule, operation["ACR"], operation["SEASON"], operation["YEAR"]));
+    }
+    return await save_schedule_edit(user_id, schedule, warnings);
+}
+
+/**
+ * Save the semesters of a schedule after they were edited, along with its credits and history.
+ * @param {String} user_id
+ * @param {JSON} schedule The edited schedule
+ * @param {Array} warnings (Optional) Warnings about the edit itself, shown before the schedule's own warnings
+ * @returns {JSON} The schedule, with its WARNINGS and UC_LIMITS (see limits.apply_limits)
+ */
+async function save_schedule_edit(user_id, schedule, warnings = []) {
+    // Calculate credits and set accordingly, along with the units UC counts once its unit limitations apply
+    schedule["CREDITS"] = calculate_credits(schedule);
+    let ucLimits = limits.apply_limits(schedule, "UC");
+    schedule["UC_CREDITS"] = ucLimits["COUNTED"];
     
     /**
      * A callback function for the Array sort function.
@@ -486,15 +867,68 @@ async function edit_schedule(user_id, type, name, acr, season, year) {
     }
     schedule["SEMESTERS"].sort(sortSemesters);
 
-    // Update the Semesters and Credits Fields
-    await mongo.update_docs({
-        user_id: user_id,
-        "NAME": name
-    }, {$set: {"SEMESTERS": schedule["SEMESTERS"], "CREDITS": schedule["CREDITS"]},},
+    // Update the Semesters, Credits and History Fields
+    await mongo.update_docs(schedule_filter(user_id, schedule), {$set: {
+        "SEMESTERS": schedule["SEMESTERS"], "CREDITS": schedule["CREDITS"], "UC_CREDITS": schedule["UC_CREDITS"],
+        "HISTORY": schedule["HISTORY"] || [], "HISTORY_INDEX": history.history_index(schedule)
+    },},
     "Accounts", "schedules");
+    schedule["WARNINGS"] = warnings.concat(validation.check_classes(schedule));
+    schedule["UC_LIMITS"] = ucLimits;
     return schedule;
 }
 
+/**
+ * Move a schedule to another point of its edit history (see history.restore_point).
+ * @param {String} user_id
+ * @param {String} name
+ * @param {Function} choose_point Gets the point to move to from the current HISTORY_INDEX
+ * @returns {JSON} The saved schedule (see save_schedule_edit), or a JSON object detailing why it wasn't moved
+ */
+async function move_history(user_id, name, choose_point) {
+    let schedule = await fetch_schedule(user_id, name);
+    if (schedule.valid == false) {
+        return {"info": "THE SCHEDULE DOES NOT EXIST.", valid: false};
+    }
+    if (!history.restore_point(schedule, choose_point(history.history_index(schedule)))) {
+        return {"info": "THE SCHEDULE HISTORY HAS NO SUCH EDIT.", valid: false};
+    }
+    return await save_schedule_edit(user_id, schedule);
+}
+
+/**
+ * Undo the last applied edit of a schedule.
+ * @param {String} user_id
+ * @param {String} name
+ * @returns {JSON} See move_history
+ */
+async function undo_schedule(user_id, name) {
+    return await move_history(user_id, name, (index) => index - 1);
+}
+
+/**
+ * Redo the last undone edit of a schedule.
+ * @param {String} user_id
+ * @param {String} name
+ * @returns {JSON} See move_history
+ */
+async function redo_schedule(user_id, name) {
+    return await move_history(user_id, name, (index) => index + 1);
+}
+
+/**
+ * Restore a schedule to any point of its edit history, where point 0 is the schedule
+ * before its first recorded edit and point N is the schedule right after its Nth edit.
+ * Later edits can still be redone until a new edit is made.
+ * @param {String} user_id
+ * @param {String} name
+ * @param {Number} point
+ * @returns {JSON} See move_history
+ */
+async function restore_schedule(user_id, name, point) {
+    return await move_history(user_id, name, () => Number(point));
+}
+
 /**
  * Fetch schedules using the provided options. Sorts, skips and limits.
  * @param {*} queries 
@@ -633,10 +1067,18 @@ async function fetch_schedules_batch(queries, dateRange, sortOption, matching, m
         }
     }
 
-    // Trim _id and user_id
+    await resolve_forks(schedules);
+    // Trim _id and user_id, keeping the ID that forking a schedule takes (see fork_schedule)
     for (let i = 0; i < schedules.length; i++) {
+        schedules[i]["ID"] = schedules[i]["_id"].toString();
         delete schedules[i]["_id"];
         delete schedules[i]["user_id"];
+        // The edit history is only shown to the schedule's owner
+        delete schedules[i]["HISTORY"];
+        delete schedules[i]["HISTORY_INDEX"];
+        if (schedules[i]["CATALOG_YEAR"] == undefined) {
+            schedules[i]["CATALOG_YEAR"] = catalog.LEGACY_CATALOG_YEAR;
+        }
     }
     return schedules;
 }
@@ -652,6 +1094,11 @@ async function fetch_user_profile(username) {
     if (profiles.length > 0) {
         profile = profiles[0];
         let schedules = await mongo.get_data({"USERNAME": username}, "Accounts", "schedules");
+        // The edit history is only shown to the schedule's owner
+        for (let schedule of schedules) {
+            delete schedule["HISTORY"];
+            delete schedule["HISTORY_INDEX"];
+        }
         profile["SCHEDULES"] = schedules;
     }
 
@@ -714,7 +1161,7 @@ async function update_account(user_id, type, body) {
 
 module.exports = {
     sign_up, login, get_account_username, get_id_username,
-    issue_session, verify_session, upload_schedule, get_user_schedules,
-    create_schedule, delete_schedule, fetch_schedule, edit_schedule,
+    issue_session, verify_session, upload_schedule, get_user_schedules, index_schedule_names,
+    create_schedule, fork_schedule, rename_schedule, delete_schedule, fetch_schedule, edit_schedule, batch_edit_schedule, undo_schedule, redo_schedule, restore_schedule, attach_course_details,
     fetch_schedules_batch, fetch_user_profile, update_account
 }
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * This file contains the transfer readiness analytics of a schedule: its total,
+ * UC transferable and CSU transferable units, its units by division and by term,
+ * and the term in which it reaches the units needed to transfer.
+ *
+ * @file analytics.js
+ * @version 10/19/2026
+ */
+
+const catalog = require('./catalog.js');
+const validation = require('./validation.js');
+
+// The transferable units a student needs before transferring to a UC or CSU
+const TRANSFER_UNITS = 60;
+
+/**
+ * List the classes of a schedule that count towards its units, earliest term first.
+ * Classes not in the schedule's catalog count for nothing, and a class cross-listed
+ * with a different class already in the schedule (such as MUS-100 after ART-100) is
+ * the same class, so it isn't counted twice.
+ * @param {JSON} schedule
+ * @returns {Array} An array of {acr, course, semester} objects
+ */
+function counted_classes(schedule) {
+    let year = catalog.schedule_catalog_year(schedule);
+    let semesters = schedule["SEMESTERS"].slice().sort((a, b) => validation.term_index(a) - validation.term_index(b));
+    let classes = [];
+    // The ACR that was counted for every cross-listing group
+    let counted = {};
+    for (let semester of semesters) {
+        for (let acr of semester["CLASSES"]) {
+            let course = catalog.get_course(acr, year);
+            if (course == null) {
+                continue;
+            }
+            let group = catalog.get_cross_listing(acr, year).join();
+            if (counted[group] != undefined && counted[group] != acr) {
+                continue;
+            }
+            counted[group] = acr;
+            classes.push({"acr": acr, "course": course, "semester": semester});
+        }
+    }
+    return classes;
+}
+
+/**
+ * Add up the total, UC transferable and CSU transferable units of some classes.
+ * @param {Array} classes An array of {acr, course} objects (see counted_classes)
+ * @returns {JSON} An object of {TOTAL, UC, CSU}
+ */
+function sum_units(classes) {
+    let units = {"TOTAL": 0, "UC": 0, "CSU": 0};
+    for (let entry of classes) {
+        units["TOTAL"] += entry["course"]["UNITS"];
+        units["UC"] += entry["course"]["TRANSFERABLE_UC"] ? entry["course"]["UNITS"] : 0;
+        units["CSU"] += entry["course"]["TRANSFERABLE_CSU"] ? entry["course"]["UNITS"] : 0;
+    }
+    return units;
+}
+
+/**
+ * Gather the transfer readiness figures of a schedule.
+ * @param {JSON} schedule
+ * @returns {JSON} An object of the following structure:
+ * {
+ *      NAME: [STRING], CATALOG_YEAR: [STRING],
+ *      UNITS: {TOTAL, UC, CSU},
+ *      DIVISIONS: [{DIVISION, UNITS}], Every division with units in the schedule, most units first
+ *      TERMS: [{SEASON, YEAR, TOTAL, UC, CSU, CUMULATIVE: {TOTAL, UC, CSU}}], Earliest term first
+ *      TRANSFER_UNITS: 60,
+ *      READY: {UC: {SEASON, YEAR}, CSU: {SEASON, YEAR}} The term in which the transferable units
+ *             first reach TRANSFER_UNITS (null if they never do)
+ * }
+ */
+function analyze_schedule(schedule) {
+    let classes = counted_classes(schedule);
+
+    let divisions = {};
+    for (let entry of classes) {
+        let division = entry["course"]["DIVISION"] || "Other";
+        divisions[division] = (divisions[division] || 0) + entry["course"]["UNITS"];
+    }
+
+    let terms = [];
+    let ready = {"UC": null, "CSU": null};
+    let cumulative = {"TOTAL": 0, "UC": 0, "CSU": 0};
+    let semesters = schedule["SEMESTERS"].slice().sort((a, b) => validation.term_index(a) - validation.term_index(b));
+    for (let semester of semesters) {
+        let units = sum_units(classes.filter((entry) => entry["semester"] == semester));
+        for (let key of Object.keys(cumulative)) {
+            cumulative[key] += units[key];
+        }
+        for (let system of Object.keys(ready)) {
+            if (ready[system] == null && cumulative[system] >= TRANSFER_UNITS) {
+                ready[system] = {"SEASON": semester["SEASON"], "YEAR": semester["YEAR"]};
+            }
+        }
+        terms.push(Object.assign({"SEASON": semester["SEASON"], "YEAR": semester["YEAR"]}, units,
+            {"CUMULATIVE": Object.assign({}, cumulative)}));
+    }
+
+    return {
+        "NAME": schedule["NAME"],
+        "CATALOG_YEAR": catalog.schedule_catalog_year(schedule),
+        "UNITS": sum_units(classes),
+        "DIVISIONS": Object.keys(divisions).map((division) => ({"DIVISION": division, "UNITS": divisions[division]}))
+            .sort((a, b) => b["UNITS"] - a["UNITS"]),
+        "TERMS": terms,
+        "TRANSFER_UNITS": TRANSFER_UNITS,
+        "READY": ready
+    };
+}
+
+module.exports = {
+    TRANSFER_UNITS, counted_classes, sum_units, analyze_schedule
+}
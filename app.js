@@ -36,6 +36,8 @@ require('dotenv').config();
 //Import local modules
 const routes = require('./routes.js');
 const mongo = require('./mongodb-library.js');
+const catalog = require('./catalog.js');
+const accounts = require('./accounts.js');
 const cookieParser = require('cookie-parser');
 
 //MIDDLEWARE FUNCTIONS
@@ -45,8 +47,10 @@ app.use(cookieParser());
 app.use(express.static('public'));
 //Parse incoming JSON body requests
 app.use(express.json());
-//Attempt connection to mongo
-mongo.connectClient();
+//Attempt connection to mongo, then make schedule names unique per user in the database
+mongo.connectClient().then(() => accounts.index_schedule_names());
+//Load, validate and index the catalogs once (reloaded with /reload-catalog)
+catalog.reload_catalogs();
 
 
 //SERVER SETUP AND ROUTES
@@ -85,15 +89,56 @@ app.post('/post-schedule', (req, res) => routes.post_schedule(req, res));
 // Query data from the catalog and return it
 app.post('/query-data', (req, res) => routes.query_data(req, res));
 
+// Search the catalog for courses, ranked by how well they match
+app.post('/search-courses', (req, res) => routes.search_courses(req, res));
+
+// Reload the catalogs from disk (requires the RELOADKEY)
+app.post('/reload-catalog', (req, res) => routes.reload_catalog(req, res));
+
 // Create a new schedule for the user
 app.post('/create-schedule', (req, res) => routes.create_schedule(req, res));
 
+// Generate a plan of classes from the user's majors, universities and terms (saved through /create-schedule)
+app.post('/generate-plan', (req, res) => routes.generate_plan(req, res));
+
+// Rename a user's schedule (names are unique per user)
+app.post('/rename-schedule', (req, res) => routes.rename_schedule(req, res));
+
+// Copy another student's schedule into the user's account under a new name
+app.post('/fork-schedule', (req, res) => routes.fork_schedule(req, res));
+
 // Fetch the schedule matching the given name/data
 app.post('/fetch-schedule', (req, res) => routes.fetch_schedule(req, res));
 
 // Edit a user's schedule (add or remove a class one at a time)
 app.post('/edit-schedule', (req, res) => routes.edit_schedule(req, res));
 
+// Undo or redo the last edit of a user's schedule, or restore it to any point of its history
+app.post('/undo-edit', (req, res) => routes.undo_edit(req, res));
+app.post('/redo-edit', (req, res) => routes.redo_edit(req, res));
+app.post('/restore-schedule', (req, res) => routes.restore_schedule(req, res));
+
+// Run every check against a user's schedule and report the problems found
+app.post('/validate-schedule', (req, res) => routes.validate_schedule(req, res));
+
+// Evaluate a user's schedule against a GE pattern (such as IGETC)
+app.post('/evaluate-pattern', (req, res) => routes.evaluate_pattern(req, res));
+
+// Audit a user's schedule against a degree (such as an AA-T or AS-T)
+app.post('/degree-audit', (req, res) => routes.audit_degree(req, res));
+
+// Evaluate a user's schedule against the major preparation of its universities
+app.post('/evaluate-preparation', (req, res) => routes.evaluate_preparation(req, res));
+
+// Gather the transfer readiness figures of a user's schedule
+app.post('/schedule-analytics', (req, res) => routes.schedule_analytics(req, res));
+
+// Compare a user's schedule across its universities
+app.post('/compare-universities', (req, res) => routes.compare_universities(req, res));
+
+// Describe what a university expects of a transfer student in a major (for transfer.html)
+app.post('/transfer-requirements', (req, res) => routes.transfer_requirements(req, res));
+
 // Delete a schedule for the user
 app.post('/delete-schedule', (req, res) => routes.delete_schedule(req, res));
 
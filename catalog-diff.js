@@ -0,0 +1,129 @@
+/** catalog-diff.js
+ * A new catalog year arrived? This command compares two catalogs, listing the classes that were
+ * added, removed, renamed or renumbered, and the classes whose UNITS or HOURS changed. It then
+ * scans the Accounts/schedules collection and reports every saved schedule that references an
+ * affected AREA-ACR, so that students can be warned before their plan silently changes.
+ *
+ * Usage:
+ * node catalog-diff.js <old catalog> <new catalog> [--no-schedules]
+ * Each catalog is either a loaded catalog year (e.g. 2021_2022) or a path to a catalog json file
+ * (such as one built by catalog-import.js that is not published yet).
+ * (For example: node catalog-diff.js 2021_2022 2022_2023_class_data.json)
+ *
+ * @file catalog-diff.js
+ * @version 10/19/2026
+ */
+
+const fs = require('fs');
+const mongo = require('./mongodb-library.js');
+const catalog = require('./catalog.js');
+
+/**
+ * Load a catalog from a catalog year or a path to a catalog json file.
+ * @param {String} source A catalog year (e.g. "2021_2022") or a file path
+ * @returns {JSON} The normalized catalog, or null if it couldn't be found
+ */
+function load_source(source) {
+    if (catalog.catalog_years().includes(source)) {
+        return catalog.get_catalog(source);
+    }
+    if (fs.existsSync(source)) {
+        return catalog.normalize_catalog(JSON.parse(fs.readFileSync(source)));
+    }
+    return null;
+}
+
+/**
+ * Map every AREA-ACR affected by a catalog diff to a short description of what happened to it.
+ * @param {JSON} diff The result of catalog.diff_catalogs
+ * @returns {JSON} An object mapping ACRs to descriptions
+ */
+function affected_acrs(diff) {
+    let affected = {};
+    for (let acr of diff.removed) {
+        affected[acr] = "REMOVED";
+    }
+    for (let entry of diff.renumbered) {
+        affected[entry.from] = "RENUMBERED TO " + entry.to;
+    }
+    for (let entry of diff.renamed) {
+        affected[entry.acr] = "RENAMED TO " + entry.to;
+    }
+    for (let entry of diff.changed) {
+        let change = "UNITS " + entry.units[0] + " -> " + entry.units[1] + ", HOURS " + entry.hours[0] + " -> " + entry.hours[1];
+        affected[entry.acr] = affected[entry.acr] ? affected[entry.acr] + "; " + change : change;
+    }
+    return affected;
+}
+
+/**
+ * Print the differences between two catalogs.
+ * @param {JSON} diff The result of catalog.diff_catalogs
+ */
+function print_diff(diff) {
+    console.log("\nADDED (" + diff.added.length + "): " + diff.added.join(", "));
+    console.log("\nREMOVED (" + diff.removed.length + "): " + diff.removed.join(", "));
+    console.log("\nRENAMED (" + diff.renamed.length + "):");
+    for (let entry of diff.renamed) {
+        console.log("  " + entry.acr + ": \"" + entry.from.trim() + "\" -> \"" + entry.to.trim() + "\"");
+    }
+    console.log("\nRENUMBERED (" + diff.renumbered.length + "):");
+    for (let entry of diff.renumbered) {
+        console.log("  " + entry.from + " -> " + entry.to + " (" + entry.name + ")");
+    }
+    console.log("\nUNITS OR HOURS CHANGED (" + diff.changed.length + "):");
+    for (let entry of diff.changed) {
+        console.log("  " + entry.acr + ": UNITS " + entry.units[0] + " -> " + entry.units[1] + ", HOURS " + entry.hours[0] + " -> " + entry.hours[1]);
+    }
+}
+
+/**
+ * Scan every saved schedule and print the ones that reference an affected AREA-ACR.
+ * @param {JSON} affected An object mapping affected ACRs to descriptions (see affected_acrs)
+ */
+async function print_schedule_impact(affected) {
+    let schedules = await mongo.get_data({"SEMESTERS.CLASSES": {$in: Object.keys(affected)}}, "Accounts", "schedules");
+    console.log("\nAFFECTED SCHEDULES (" + schedules.length + "):");
+    for (let schedule of schedules) {
+        console.log("  \"" + schedule["NAME"] + "\" by " + schedule["USERNAME"] + " (catalog " + (schedule["CATALOG_YEAR"] || catalog.LEGACY_CATALOG_YEAR) + ")");
+        for (let semester of schedule["SEMESTERS"]) {
+            for (let acr of semester["CLASSES"]) {
+                if (affected[acr] != undefined) {
+                    console.log("    " + semester["SEASON"] + " " + semester["YEAR"] + " " + acr + ": " + affected[acr]);
+                }
+            }
+        }
+    }
+}
+
+async function main() {
+    let args = process.argv.slice(2).filter((arg) => !arg.startsWith("--"));
+    let skipSchedules = process.argv.includes("--no-schedules");
+    if (args.length < 2) {
+        console.log("Usage: node catalog-diff.js <old catalog year or file> <new catalog year or file> [--no-schedules]");
+        process.exit(1);
+    }
+    let oldData = load_source(args[0]);
+    let newData = load_source(args[1]);
+    if (oldData == null || newData == null) {
+        console.log("Could not find the catalog " + (oldData == null ? args[0] : args[1]) + ".");
+        process.exit(1);
+    }
+
+    let diff = catalog.diff_catalogs(oldData, newData);
+    print_diff(diff);
+
+    if (!skipSchedules) {
+        await mongo.connectClient();
+        await print_schedule_impact(affected_acrs(diff));
+        await mongo.closeClient();
+    }
+    console.log("\nFinished!");
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.log("ERROR OCCURRED IN DIFFING THE CATALOGS: " + error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,303 @@
+/** catalog-import.js
+ * Publishing a new catalog year? This command turns a raw Ohlone catalog export into the
+ * DIVISIONS/AREAS/CLASSES format of the YEAR_class_data.json files, validates it, and reports
+ * every malformed entry (such as non-numeric UNITS or a missing AREA-ACR) before it is saved.
+ *
+ * The export can be a CSV file generated by Tabula from the catalog PDF (see
+ * concept_build/CSVcompiler), an HTML page of the catalog, or a folder of either.
+ * Area names and divisions are read from the department headers of the export
+ * ("Administration of Justice (AJ)" followed by "Division: Social Sciences"), falling back
+ * to those of the base catalog.
+ *
+ * Usage:
+ * node catalog-import.js <export file or folder> <catalog year> [--base 2021_2022] [--out file.json] [--force]
+ * (For example: node catalog-import.js exports/ 2022_2023)
+ *
+ * The catalog is only saved if no problems were found, unless --force is given (malformed
+ * classes are then left out by the server when it loads the catalog).
+ *
+ * @file catalog-import.js
+ * @version 10/19/2026
+ */
+
+const fs = require('fs');
+const path = require('path');
+const catalog = require('./catalog.js');
+
+// The start of a class, as in "MATH-101C Calculus with Analytic Geometry"
+const CLASS_START_REGEX = /^([A-Z]+)-(\d+\w*)\s+(.+)$/;
+// A department header, as in "Administration of Justice (AJ)"
+const AREA_HEADER_REGEX = /^(.+?)\s*\(([A-Z]+)\)$/;
+// The division following a department header, as in "Division: Social Sciences"
+const DIVISION_REGEX = /^Division:\s*(.+)$/;
+// The grading code that ends the description of a class
+const GRADING_REGEX = /\((GR|CR|GC|NG|POST)\)/;
+// A number of hours or units, as in "54.00" or "3"
+const NUMBER_REGEX = /\d+(\.\d+)?/g;
+
+/**
+ * Parse a CSV file into rows of columns (handles quoted columns and escaped quotes).
+ * @param {String} text The contents of the CSV file
+ * @returns {Array} An array of rows, each an array of strings
+ */
+function parse_csv(text) {
+    let rows = [];
+    let row = [];
+    let column = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        let char = text[i];
+        if (quoted) {
+            if (char == '"' && text[i + 1] == '"') {
+                column += '"';
+                i++;
+            } else if (char == '"') {
+                quoted = false;
+            } else {
+                column += char;
+            }
+        } else if (char == '"') {
+            quoted = true;
+        } else if (char == ",") {
+            row.push(column);
+            column = "";
+        } else if (char == "\n" || char == "\r") {
+            if (char == "\r" && text[i + 1] == "\n") {
+                i++;
+            }
+            row.push(column);
+            rows.push(row);
+            row = [];
+            column = "";
+        } else {
+            column += char;
+        }
+    }
+    if (column != "" || row.length > 0) {
+        row.push(column);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Turn a CSV export into lines of text. Tabula may split a line over two columns,
+ * so every column of a row is joined into one line (as compiler.py did).
+ * @param {String} text The contents of the CSV file
+ * @returns {Array} An array of lines
+ */
+function csv_to_lines(text) {
+    return parse_csv(text).map((row) => row.filter((column) => column != "").join(" "));
+}
+
+/**
+ * Turn an HTML page of the catalog into lines of text, breaking lines on block elements.
+ * @param {String} html The contents of the HTML page
+ * @returns {Array} An array of lines
+ */
+function html_to_lines(html) {
+    let text = html.replace(/<(script|style)[\s\S]*?<\/\1>/gi, "")
+        .replace(/<br\s*\/?>|<\/(p|div|li|h\d|tr|td|th|dt|dd)>/gi, "\n")
+        .replace(/<[^>]+>/g, "")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&amp;/g, "&")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&rsquo;/g, "’");
+    return text.split("\n");
+}
+
+/**
+ * Read every line of an export file, or of every export file in a folder (in name order).
+ * @param {String} input A .csv, .html or .htm file, or a folder of them
+ * @returns {Array} An array of trimmed, non-empty lines
+ */
+function read_export(input) {
+    let files = [input];
+    if (fs.statSync(input).isDirectory()) {
+        files = fs.readdirSync(input).sort().map((file) => path.join(input, file));
+    }
+    let lines = [];
+    for (let file of files) {
+        let extension = path.extname(file).toLowerCase();
+        let text = fs.readFileSync(file, "utf8");
+        if (extension == ".csv") {
+            lines.push(...csv_to_lines(text));
+        } else if (extension == ".html" || extension == ".htm") {
+            lines.push(...html_to_lines(text));
+        }
+    }
+    return lines.map((line) => line.replace(/\s+/g, " ").trim()).filter((line) => line != "");
+}
+
+/**
+ * Build the DIVISIONS/AREAS/CLASSES catalog from the lines of an export.
+ * A class starts at a line like "MATH-101C Calculus with Analytic Geometry" (whose name may wrap
+ * onto a second line) that is followed by its hours lines and a "Units:" line, and its MISC runs
+ * until the line with its grading code. Any other line followed by hours and units is reported
+ * as a class with a missing or malformed AREA-ACR.
+ *
+ * @param {Array} lines The lines of the export (see read_export)
+ * @param {JSON} base A catalog to take area names and divisions from when the export lacks them
+ * @returns {JSON} An object of the following structure:
+ * {
+ *      data: {DIVISIONS, AREAS, CLASSES},
+ *      problems: [STRING] Every problem found while parsing
+ * }
+ */
+function build_catalog_data(lines, base = {"DIVISIONS": [], "AREAS": []}) {
+    let areaNames = {};
+    let areaDivisions = {};
+    for (let area of base["AREAS"]) {
+        areaNames[Object.keys(area)[0]] = Object.values(area)[0];
+    }
+    for (let division of base["DIVISIONS"]) {
+        for (let area of Object.values(division)[0]) {
+            areaDivisions[area] = Object.keys(division)[0];
+        }
+    }
+
+    let classes = [];
+    let problems = [];
+    let i = 0;
+    while (i < lines.length) {
+        // Department headers name the area and its division
+        let header = lines[i].match(AREA_HEADER_REGEX);
+        if (header && i + 1 < lines.length && DIVISION_REGEX.test(lines[i + 1])) {
+            areaNames[header[2]] = header[1];
+            areaDivisions[header[2]] = lines[i + 1].match(DIVISION_REGEX)[1];
+            i += 2;
+            continue;
+        }
+
+        // Only the hours lines ("54.00 hrs lecture") may come between the start and the units,
+        // after the rest of a name that was wrapped onto a second line
+        let start = lines[i].match(CLASS_START_REGEX);
+        let name = start ? start[3] : "";
+        let titleEnd = i;
+        if (start && i + 2 < lines.length && !/\bhrs\b/.test(lines[i + 1]) && !lines[i + 1].startsWith("Units") && !CLASS_START_REGEX.test(lines[i + 1]) &&
+            (/\bhrs\b/.test(lines[i + 2]) || lines[i + 2].startsWith("Units"))) {
+            name += " " + lines[i + 1];
+            titleEnd = i + 1;
+        }
+        let unitsIndex = titleEnd + 1;
+        while (unitsIndex < lines.length && unitsIndex < titleEnd + 4 && /\bhrs\b/.test(lines[unitsIndex])) {
+            unitsIndex++;
+        }
+        if (unitsIndex >= lines.length || !lines[unitsIndex].startsWith("Units")) {
+            i++;
+            continue;
+        }
+        // A line followed by hours and units that doesn't start a class has a missing or malformed AREA-ACR
+        if (!start) {
+            if (!/\bhrs\b/.test(lines[i])) {
+                problems.push("MISSING OR MALFORMED AREA-ACR: " + lines[i]);
+            }
+            i++;
+            continue;
+        }
+
+        // Hours are summed over every line (lecture and lab), units take the largest number
+        let hours = lines.slice(titleEnd + 1, unitsIndex).join(" ").match(NUMBER_REGEX);
+        let units = lines[unitsIndex].match(NUMBER_REGEX);
+
+        let misc = "";
+        let j = unitsIndex + 1;
+        while (j < lines.length && !CLASS_START_REGEX.test(lines[j])) {
+            misc += " " + lines[j];
+            j++;
+            if (GRADING_REGEX.test(lines[j - 1])) {
+                break;
+            }
+        }
+
+        classes.push({
+            "DIVISION": areaDivisions[start[1]],
+            "AREA": start[1],
+            "NAME": name,
+            "NUMBER": start[2],
+            "AREA-ACR": start[1] + "-" + start[2],
+            "UNITS": units ? Math.max(...units.map(Number)) : NaN,
+            "HOURS": hours ? hours.map(Number).reduce((a, b) => a + b, 0) : NaN,
+            "MISC": misc
+        });
+        if (areaDivisions[start[1]] == undefined) {
+            problems.push(start[1] + "-" + start[2] + ": NO DIVISION FOUND FOR AREA " + start[1]);
+        }
+        i = j;
+    }
+
+    // Build the DIVISIONS and AREAS arrays from the areas that have classes
+    let data = {"DIVISIONS": [], "AREAS": [], "CLASSES": classes};
+    let usedAreas = [...new Set(classes.map((course) => course["AREA"]))];
+    for (let area of usedAreas) {
+        if (areaNames[area] == undefined) {
+            problems.push(area + ": NO AREA NAME FOUND");
+        }
+        data["AREAS"].push({[area]: areaNames[area] || area});
+        let division = areaDivisions[area];
+        if (division == undefined) {
+            continue;
+        }
+        let entry = data["DIVISIONS"].find((other) => Object.keys(other)[0] == division);
+        if (entry == undefined) {
+            entry = {[division]: []};
+            data["DIVISIONS"].push(entry);
+        }
+        entry[division].push(area);
+    }
+    data["AREAS"].sort((a, b) => Object.values(a)[0].localeCompare(Object.values(b)[0]));
+    return {data, problems};
+}
+
+async function main() {
+    let args = process.argv.slice(2);
+    let flags = {};
+    let positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] == "--force") {
+            flags.force = true;
+        } else if (args[i].startsWith("--")) {
+            flags[args[i].substring(2)] = args[i + 1];
+            i++;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    let input = positional[0];
+    let year = positional[1];
+    if (input == undefined || !fs.existsSync(input) || !/^\d{4}_\d{4}$/.test(year || "")) {
+        console.log("Usage: node catalog-import.js <export file or folder> <catalog year, e.g. 2022_2023> [--base YEAR] [--out FILE] [--force]");
+        process.exit(1);
+    }
+
+    let base = catalog.get_catalog(flags.base) || undefined;
+    let built = build_catalog_data(read_export(input), base);
+    let report = catalog.validate_catalog(built.data);
+    let problems = built.problems.concat(report.problems);
+
+    console.log("Found " + built.data["CLASSES"].length + " classes in " + built.data["AREAS"].length + " areas.");
+    if (problems.length > 0) {
+        console.log("Found " + problems.length + " problem(s):\n" + problems.join("\n"));
+    }
+    if (problems.length > 0 && !flags.force) {
+        console.log("The catalog was NOT saved. Fix the export or rerun with --force.");
+        process.exit(1);
+    }
+
+    let out = flags.out || path.join(__dirname, year + "_class_data.json");
+    fs.writeFileSync(out, JSON.stringify(built.data, null, 4));
+    console.log("Saved the " + year + " catalog to " + out + ". Reload the server's catalogs with /reload-catalog.");
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.log("ERROR OCCURRED IN IMPORTING THE CATALOG: " + error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parse_csv, csv_to_lines, html_to_lines, read_export, build_catalog_data
+}
@@ -0,0 +1,658 @@
+/**
+ * This file contains the catalog normalization step for ./MakeMyFuture's
+ * class data. Every class in the catalog json file packs its prerequisites,
+ * advisories, transferability, cross-referenced courses and C-ID number into
+ * a single free-text MISC string. The functions here pull those out into
+ * structured fields so that the server can reason about them.
+ *
+ * A normalized class has every original field, plus the following:
+ * {
+ *      "PREREQUISITES": [[ACR, ...], ...],
+ *      "COREQUISITES": [[ACR, ...], ...],
+ *      "ADVISORIES": [[ACR, ...], ...],
+ *      "TRANSFERABLE_CSU": true / false,
+ *      "TRANSFERABLE_UC": true / false,
+ *      "CROSS_REFERENCES": [ACR, ...],
+ *      "C_ID": [STRING] / null,
+ *      "DESCRIPTION": [STRING]
+ * }
+ * Requisites are arrays of groups. Every group must be satisfied, and a group is
+ * satisfied by any one of the ACRs inside of it. ("MATH-101A and PHYS-120 or PHYS-140"
+ * becomes [["MATH-101A"], ["PHYS-120", "PHYS-140"]].)
+ *
+ * Catalogs are stored side by side as YEAR_class_data.json files (e.g.
+ * 2021_2022_class_data.json), one for every catalog year. Schedules record the
+ * catalog year they were built against so that an older plan stays valid after
+ * a new catalog ships.
+ *
+ * The catalogs are loaded once, validated and indexed by ACR, AREA and DIVISION
+ * in memory. Call reload_catalogs to pick up changes to the files on disk.
+ *
+ * Cross-listed classes (such as ART-100, MUS-100 and TD-100) are the same class
+ * offered by several departments. Their CROSS_REFERENCES are joined into
+ * cross-listing groups, so that taking one class of a group counts as taking
+ * all of them.
+ *
+ * @file catalog.js
+ * @version 10/19/2026
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The directory holding every catalog json file
+const CATALOG_DIR = __dirname;
+// Catalog files are named after their catalog year, like 2021_2022_class_data.json
+const CATALOG_FILE_REGEX = /^(\d{4}_\d{4})_class_data\.json$/;
+// The catalog year of schedules created before schedules recorded one
+const LEGACY_CATALOG_YEAR = "2021_2022";
+// The file holding every major and university
+const MAJOR_COLLEGES_FILE = path.join(__dirname, "major_colleges.json");
+
+// The catalogs in memory, by catalog year (null until first loaded, see reload_catalogs)
+let catalogs = null;
+// The contents of MAJOR_COLLEGES_FILE, loaded alongside the catalogs
+let majorColleges = null;
+
+// The labels that start a new section of a MISC string
+const LABEL_REGEX = /(Cross-referenced Courses?|Prerequisites?|Corequisites?|Advisory|Advisories|Accepted For Credit|NOTE):/g;
+// A course acronym, such as MATH-101A or DEAF-172RW (the catalog sometimes puts a space after the dash)
+const ACR_REGEX = /\b[A-Z]{1,5}-\s?\d{1,3}[A-Z0-9]*\b/g;
+// Where a course's description begins, when no "Accepted For Credit" label separates it from a requisite
+const DESCRIPTION_START_REGEX = /\s+(?=(?:This|The|In this|Students|Designed)\b)|\.\s+/;
+
+/**
+ * Collapse all repeated whitespace in a string and trim it.
+ * @param {String} text
+ * @returns {String}
+ */
+function clean_text(text) {
+    return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Find every course acronym in a piece of text.
+ * @param {String} text
+ * @returns {Array} An array of ACRs (e.g. ["MATH-101A", "PHYS-120"])
+ */
+function find_acrs(text) {
+    return (text.match(ACR_REGEX) || []).map((acr) => acr.replace(/\s/g, ""));
+}
+
+/**
+ * Parse one clause of a requisite into groups. "and" separates groups, commas and "or"
+ * separate the alternatives inside of a group. A group with an alternative that is not
+ * a course (such as "or placement evaluation") can be met without taking a course, and is dropped.
+ *
+ * @param {String} clause
+ * @returns {Array} An array of groups, each an array of ACRs
+ */
+function parse_clause(clause) {
+    // "X, Y, and Z" without any "or" lists courses that are all required
+    let pieces = [];
+    if (/\sand\s/.test(clause) && !/\sor\s/.test(clause)) {
+        pieces = clause.split(/,|\sand\s/).map((piece) => [piece]);
+    } else {
+        pieces = clause.split(/\sand\s/).map((piece) => piece.split(/,|\sor\s/));
+    }
+
+    let groups = [];
+    for (let alternatives of pieces) {
+        let group = [];
+        let waivable = false;
+        for (let alternative of alternatives) {
+            if (clean_text(alternative) == "") {
+                continue;
+            }
+            let acrs = find_acrs(alternative);
+            if (acrs.length == 0) {
+                waivable = true;
+            }
+            for (let acr of acrs) {
+                if (!group.includes(acr)) {
+                    group.push(acr);
+                }
+            }
+        }
+        if (group.length > 0 && !waivable) {
+            groups.push(group);
+        }
+    }
+    return groups;
+}
+
+/**
+ * Parse the text of a requisite (Prerequisite, Corequisite or Advisory) into groups.
+ * Semicolons separate clauses that are all required, unless a clause begins with "or"
+ * (e.g. "ENGL-151B and ENGL-163; or ENGL-151RW"), which makes it an alternative to the
+ * clause before it. Alternative clauses are combined so that every group holds one
+ * course from each of them, and a clause that can be met without taking a course
+ * (such as "Placement" or "audition") drops its whole requisite.
+ *
+ * @param {String} text The text following the requisite's label
+ * @returns {Array} An array of groups, each an array of ACRs
+ */
+function parse_requisite(text) {
+    // Every requirement is an array of alternative clauses
+    let requirements = [];
+    for (let clause of text.split(";")) {
+        if (/^\s*or\s/i.test(clause) && requirements.length > 0) {
+            requirements[requirements.length - 1].push(clause.replace(/^\s*or\s/i, ""));
+        } else {
+            requirements.push([clause]);
+        }
+    }
+
+    let groups = [];
+    for (let alternatives of requirements) {
+        let clauses = alternatives.filter((clause) => clean_text(clause) != "").map(parse_clause);
+        if (clauses.length == 0 || clauses.some((clause) => clause.length == 0)) {
+            continue;
+        }
+        // "(A and B) or C" is required as "(A or C) and (B or C)"
+        let combined = clauses.reduce((left, right) => [].concat(...left.map((group) =>
+            right.map((other) => group.concat(other.filter((acr) => !group.includes(acr)))))));
+        for (let group of combined) {
+            // Skip groups the catalog repeats ("X or prerequisite X")
+            if (!groups.some((other) => other.join() == group.join())) {
+                groups.push(group);
+            }
+        }
+    }
+    return groups;
+}
+
+/**
+ * Parse a MISC string from the catalog into its structured fields.
+ *
+ * @param {String} misc The MISC string of a class
+ * @returns {JSON} An object of the following structure:
+ * {
+ *      PREREQUISITES, COREQUISITES, ADVISORIES, TRANSFERABLE_CSU,
+ *      TRANSFERABLE_UC, CROSS_REFERENCES, C_ID, DESCRIPTION
+ * }
+ */
+function parse_misc(misc = "") {
+    let parsed = {
+        "PREREQUISITES": [],
+        "COREQUISITES": [],
+        "ADVISORIES": [],
+        "TRANSFERABLE_CSU": false,
+        "TRANSFERABLE_UC": false,
+        "CROSS_REFERENCES": [],
+        "C_ID": null,
+        "DESCRIPTION": ""
+    };
+
+    // Pull the C-ID number off the end of the string
+    let cidIndex = misc.lastIndexOf("C-ID");
+    if (cidIndex != -1) {
+        parsed["C_ID"] = clean_text(misc.substring(cidIndex + 4).replace(/^:/, ""));
+        misc = misc.substring(0, cidIndex);
+    }
+
+    // Split the string into its labeled sections
+    let sections = [];
+    let match;
+    LABEL_REGEX.lastIndex = 0;
+    while ((match = LABEL_REGEX.exec(misc)) != null) {
+        sections.push({label: match[1], start: match.index, valueStart: LABEL_REGEX.lastIndex});
+    }
+    if (sections.length == 0) {
+        parsed["DESCRIPTION"] = clean_text(misc);
+        return parsed;
+    }
+
+    for (let i = 0; i < sections.length; i++) {
+        let end = i + 1 < sections.length ? sections[i + 1].start : misc.length;
+        let value = misc.substring(sections[i].valueStart, end);
+        let label = sections[i].label;
+
+        // The last section also holds the description of the course
+        if (i == sections.length - 1) {
+            if (label == "Accepted For Credit") {
+                let transfer = value.match(/^\s*(CSU\s*&\s*UC|CSU|UC)/);
+                if (transfer) {
+                    parsed["DESCRIPTION"] = clean_text(value.substring(transfer[0].length));
+                    value = transfer[1];
+                }
+            } else {
+                let split = value.match(DESCRIPTION_START_REGEX);
+                if (split) {
+                    parsed["DESCRIPTION"] = clean_text(value.substring(split.index + split[0].length));
+                    value = value.substring(0, split.index);
+                }
+            }
+        }
+
+        if (label.startsWith("Cross-referenced")) {
+            parsed["CROSS_REFERENCES"] = find_acrs(value);
+        } else if (label.startsWith("Prerequisite")) {
+            parsed["PREREQUISITES"] = parse_requisite(value);
+        } else if (label.startsWith("Corequisite")) {
+            parsed["COREQUISITES"] = parse_requisite(value);
+        } else if (label.startsWith("Advis")) {
+            parsed["ADVISORIES"] = parse_requisite(value);
+        } else if (label == "Accepted For Credit") {
+            parsed["TRANSFERABLE_CSU"] = /CSU/.test(value);
+            parsed["TRANSFERABLE_UC"] = /UC/.test(value);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Normalize a single class from the catalog, adding the structured fields
+ * parsed from its MISC string. The original fields are kept as is.
+ * @param {JSON} course A class object from the CLASSES array
+ * @returns {JSON} A new, normalized class object
+ */
+function normalize_course(course) {
+    return Object.assign({}, course, parse_misc(course["MISC"]));
+}
+
+/**
+ * Normalize an entire catalog (DIVISIONS, AREAS and CLASSES).
+ * @param {JSON} data The parsed catalog json file
+ * @returns {JSON} The catalog with every class normalized
+ */
+function normalize_catalog(data) {
+    return Object.assign({}, data, {"CLASSES": data["CLASSES"].map(normalize_course)});
+}
+
+/**
+ * Validate a parsed catalog json file against the DIVISIONS/AREAS/CLASSES format.
+ * 
+ * @param {JSON} data The parsed catalog json file
+ * @returns {JSON} An object of the following structure:
+ * {
+ *      valid: true / false, (false if the catalog can't be used at all)
+ *      problems: [STRING], Every problem found, such as "CLASSES[12] (MATH-101A): UNITS IS NOT A NUMBER"
+ *      invalid_classes: [NUMBER] The indexes of every malformed class in CLASSES
+ * }
+ */
+function validate_catalog(data) {
+    let report = {valid: true, problems: [], invalid_classes: []};
+    for (let key of ["DIVISIONS", "AREAS", "CLASSES"]) {
+        if (data == null || !Array.isArray(data[key])) {
+            report.valid = false;
+            report.problems.push(key + " IS MISSING OR NOT AN ARRAY");
+        }
+    }
+    if (!report.valid) {
+        return report;
+    }
+
+    let areas = data["AREAS"].map((area) => Object.keys(area)[0]);
+    let seen = {};
+    for (let i = 0; i < data["CLASSES"].length; i++) {
+        let course = data["CLASSES"][i];
+        let acr = course["AREA-ACR"];
+        let problems = [];
+        if (typeof acr != "string" || !/^[A-Z]+-\S+$/.test(acr)) {
+            problems.push("AREA-ACR IS MISSING OR MALFORMED");
+        } else if (seen[acr]) {
+            problems.push("AREA-ACR IS A DUPLICATE");
+        }
+        if (typeof course["UNITS"] != "number" || isNaN(course["UNITS"])) {
+            problems.push("UNITS IS NOT A NUMBER");
+        }
+        if (typeof course["HOURS"] != "number" || isNaN(course["HOURS"])) {
+            problems.push("HOURS IS NOT A NUMBER");
+        }
+        if (!areas.includes(course["AREA"])) {
+            problems.push("AREA IS NOT LISTED IN AREAS");
+        }
+        if (typeof course["NAME"] != "string" || course["NAME"].trim() == "") {
+            problems.push("NAME IS MISSING");
+        }
+        for (let problem of problems) {
+            report.problems.push("CLASSES[" + i + "] (" + acr + "): " + problem);
+        }
+        if (problems.length > 0) {
+            report.invalid_classes.push(i);
+        }
+        seen[acr] = true;
+    }
+    return report;
+}
+
+/**
+ * Join the cross-referenced classes of a catalog into cross-listing groups. A class
+ * that is cross-referenced by a class of a group belongs to that group as well, even
+ * if it doesn't reference the group back. Cross-references to classes that aren't in
+ * the catalog are ignored.
+ * @param {JSON} byACR The classes of the catalog, by ACR
+ * @returns {JSON} An object mapping the ACR of every cross-listed class to its group (a sorted array of ACRs)
+ */
+function build_cross_listings(byACR) {
+    let groups = {};
+    for (let acr of Object.keys(byACR)) {
+        for (let other of byACR[acr]["CROSS_REFERENCES"]) {
+            if (byACR[other] == undefined || other == acr) {
+                continue;
+            }
+            // Merge the groups of both classes
+            let merged = [...new Set((groups[acr] || [acr]).concat(groups[other] || [other]))].sort();
+            for (let member of merged) {
+                groups[member] = merged;
+            }
+        }
+    }
+    return groups;
+}
+
+/**
+ * Build the in-memory catalog for one catalog year: the normalized data plus
+ * indexes of its classes by ACR, AREA and DIVISION, and its cross-listing groups.
+ * Malformed classes are left out.
+ * @param {JSON} data The parsed (and validated) catalog json file
+ * @param {Array} invalid_classes The indexes of the classes to leave out
+ * @returns {JSON} {data, byACR, byArea, byDivision, crossListings}
+ */
+function build_catalog(data, invalid_classes = []) {
+    let classes = data["CLASSES"].filter((course, i) => !invalid_classes.includes(i));
+    let normalized = normalize_catalog(Object.assign({}, data, {"CLASSES": classes}));
+    let built = {data: normalized, byACR: {}, byArea: {}, byDivision: {}, crossListings: {}};
+    for (let course of normalized["CLASSES"]) {
+        built.byACR[course["AREA-ACR"]] = course;
+        (built.byArea[course["AREA"]] = built.byArea[course["AREA"]] || []).push(course);
+        (built.byDivision[course["DIVISION"]] = built.byDivision[course["DIVISION"]] || []).push(course);
+    }
+    built.crossListings = build_cross_listings(built.byACR);
+    return built;
+}
+
+/**
+ * Load every catalog file (and the majors/colleges file) from disk, validating
+ * and indexing each catalog. Replaces the catalogs in memory all at once, so it
+ * can be called while the server is running to pick up an updated catalog.
+ * A catalog file that can't be parsed or is missing its arrays is skipped.
+ * @returns {JSON} An object of the following structure:
+ * {
+ *      years: [STRING], The catalog years that were loaded
+ *      problems: {YEAR: [STRING]} Every problem found in each catalog file
+ * }
+ */
+function reload_catalogs() {
+    let loaded = {};
+    let summary = {years: [], problems: {}};
+    for (let file of fs.readdirSync(CATALOG_DIR)) {
+        let match = file.match(CATALOG_FILE_REGEX);
+        if (!match) {
+            continue;
+        }
+        let year = match[1];
+        let report;
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(path.join(CATALOG_DIR, file)));
+            report = validate_catalog(data);
+        } catch (error) {
+            report = {valid: false, problems: ["COULD NOT BE PARSED: " + error.message], invalid_classes: []};
+        }
+        if (report.problems.length > 0) {
+            console.log("Found " + report.problems.length + " problem(s) in the " + year + " catalog:\n" + report.problems.join("\n"));
+            summary.problems[year] = report.problems;
+        }
+        if (report.valid) {
+            loaded[year] = build_catalog(data, report.invalid_classes);
+            summary.years.push(year);
+        }
+    }
+    catalogs = loaded;
+    majorColleges = JSON.parse(fs.readFileSync(MAJOR_COLLEGES_FILE));
+    summary.years.sort();
+    return summary;
+}
+
+/**
+ * Get the catalogs in memory, loading them from disk on first use.
+ * @returns {JSON} The in-memory catalogs, by catalog year
+ */
+function get_catalogs() {
+    if (catalogs == null) {
+        reload_catalogs();
+    }
+    return catalogs;
+}
+
+/**
+ * List every catalog year that has been loaded.
+ * @returns {Array} The catalog years in ascending order (e.g. ["2021_2022", "2022_2023"])
+ */
+function catalog_years() {
+    return Object.keys(get_catalogs()).sort();
+}
+
+/**
+ * The catalog year new schedules are built against (the newest catalog).
+ * @returns {String}
+ */
+function default_catalog_year() {
+    let years = catalog_years();
+    return years.length > 0 ? years[years.length - 1] : LEGACY_CATALOG_YEAR;
+}
+
+/**
+ * Resolve a requested catalog year. Falls back to the default catalog year
+ * when no year was requested.
+ * @param {String} year A catalog year such as "2021_2022", or undefined
+ * @returns {String} The catalog year, or null if no catalog exists for it
+ */
+function resolve_catalog_year(year) {
+    if (year == undefined || year == "") {
+        return default_catalog_year();
+    }
+    return catalog_years().includes(year) ? year : null;
+}
+
+/**
+ * Resolve the catalog year a schedule was built against. Schedules made before
+ * catalog years were recorded use the legacy catalog year, and schedules whose
+ * catalog is no longer loaded fall back to the newest catalog.
+ * @param {JSON} schedule A schedule object
+ * @returns {String} The catalog year
+ */
+function schedule_catalog_year(schedule) {
+    return resolve_catalog_year(schedule["CATALOG_YEAR"] || LEGACY_CATALOG_YEAR) || default_catalog_year();
+}
+
+/**
+ * Get the normalized catalog (DIVISIONS, AREAS and CLASSES) for a given catalog year.
+ * @param {String} year A catalog year, defaults to the newest catalog
+ * @returns {JSON} The normalized catalog, or null if no catalog exists for the year
+ */
+function get_catalog(year) {
+    year = resolve_catalog_year(year);
+    return year == null ? null : get_catalogs()[year].data;
+}
+
+/**
+ * Look up a single class by its AREA-ACR.
+ * @param {String} acr The class's AREA-ACR (e.g. "MATH-101A")
+ * @param {String} year A catalog year, defaults to the newest catalog
+ * @returns {JSON} The normalized class, or null if it isn't in the catalog
+ */
+function get_course(acr, year) {
+    year = resolve_catalog_year(year);
+    return year == null ? null : get_catalogs()[year].byACR[acr] || null;
+}
+
+/**
+ * Look up many classes at once by their AREA-ACRs.
+ * @param {Array} acrs An array of AREA-ACRs (e.g. ["MATH-101A", "CS-102"])
+ * @param {String} year A catalog year, defaults to the newest catalog
+ * @returns {JSON} An object mapping each ACR to its normalized class (null if it isn't in the catalog)
+ */
+function get_courses(acrs, year) {
+    let courses = {};
+    for (let acr of acrs) {
+        courses[acr] = get_course(acr, year);
+    }
+    return courses;
+}
+
+/**
+ * Get every class in an AREA (like all Math classes).
+ * @param {String} area The AREA acronym (e.g. "MATH")
+ * @param {String} year A catalog year, defaults to the newest catalog
+ * @returns {Array} The normalized classes of the area
+ */
+function get_area_courses(area, year) {
+    year = resolve_catalog_year(year);
+    return year == null ? [] : get_catalogs()[year].byArea[area] || [];
+}
+
+/**
+ * Get every class in a DIVISION (like all Business classes).
+ * @param {String} division The DIVISION name (e.g. "Business")
+ * @param {String} year A catalog year, defaults to the newest catalog
+ * @returns {Array} The normalized classes of the division
+ */
+function get_division_courses(division, year) {
+    year = resolve_catalog_year(year);
+    return year == null ? [] : get_catalogs()[year].byDivision[division] || [];
+}
+
+/**
+ * Get the classes matching every provided facet. Facets that are left out
+ * (undefined, null or "") don't filter anything.
+ * @param {JSON} filters An object of the following structure:
+ * {
+ *      area: [STRING], An AREA acronym (e.g. "MATH")
+ *      division: [STRING], A DIVISION name (e.g. "Social Sciences")
+ *      minUnits: [NUMBER], The fewest units a class may have
+ *      maxUnits: [NUMBER], The most units a class may have
+ *      csu: true / false, Whether the class must (or must not) transfer to CSU
+ *      uc: true / false, Whether the class must (or must not) transfer to UC
+ *      prerequisites: true / false Whether the class must (or must not) have prerequisites
+ * }
+ * Units may also be given as strings (e.g. "3"), and true / false as "true" / "false".
+ * @param {String} year A catalog year, defaults to the newest catalog
+ * @returns {Array} The normalized classes matching every facet
+ */
+function filter_courses(filters, year) {
+    let given = (value) => value !== undefined && value !== null && value !== "";
+    let flag = (value) => value === true || value === "true";
+    year = resolve_catalog_year(year);
+    if (year == null) {
+        return [];
+    }
+    let courses = get_catalogs()[year].data["CLASSES"];
+    if (given(filters.area)) {
+        courses = get_area_courses(filters.area, year);
+    } else if (given(filters.division)) {
+        courses = get_division_courses(filters.division, year);
+    }
+    let minUnits = Number(filters.minUnits);
+    let maxUnits = Number(filters.maxUnits);
+    return courses.filter((course) =>
+        (!given(filters.division) || course["DIVISION"] == filters.division) &&
+        (!given(filters.minUnits) || course["UNITS"] >= minUnits) &&
+        (!given(filters.maxUnits) || course["UNITS"] <= maxUnits) &&
+        (!given(filters.csu) || course["TRANSFERABLE_CSU"] === flag(filters.csu)) &&
+        (!given(filters.uc) || course["TRANSFERABLE_UC"] === flag(filters.uc)) &&
+        (!given(filters.prerequisites) || (course["PREREQUISITES"].length > 0) === flag(filters.prerequisites)));
+}
+
+/**
+ * Get the cross-listing group of a class: the class itself and every class it is
+ * cross-listed with.
+ * @param {String} acr The class's AREA-ACR (e.g. "ART-100")
+ * @param {String} year A catalog year, defaults to the newest catalog
+ * @returns {Array} The sorted ACRs of the group (e.g. ["ART-100", "MUS-100", "TD-100"]),
+ * or just [acr] if the class isn't cross-listed
+ */
+function get_cross_listing(acr, year) {
+    year = resolve_catalog_year(year);
+    return (year == null ? null : get_catalogs()[year].crossListings[acr]) || [acr];
+}
+
+/**
+ * Check whether two classes are equivalent (the same class, or cross-listed with each other).
+ * @param {String} acr1 
+ * @param {String} acr2 
+ * @param {String} year A catalog year, defaults to the newest catalog
+ * @returns {Boolean}
+ */
+function are_equivalent(acr1, acr2, year) {
+    return acr1 == acr2 || get_cross_listing(acr1, year).includes(acr2);
+}
+
+/**
+ * Compare two catalogs, listing the classes that were added, removed, renamed
+ * (same AREA-ACR, new NAME), renumbered (a removed and an added class in the same
+ * AREA sharing a NAME) and whose UNITS or HOURS changed.
+ * 
+ * @param {JSON} oldData The older catalog
+ * @param {JSON} newData The newer catalog
+ * @returns {JSON} An object of the following structure:
+ * {
+ *      added: [ACR],
+ *      removed: [ACR],
+ *      renamed: [{acr, from, to}],
+ *      renumbered: [{from, to, name}],
+ *      changed: [{acr, units: [OLD, NEW], hours: [OLD, NEW]}]
+ * }
+ */
+function diff_catalogs(oldData, newData) {
+    let oldClasses = {};
+    let newClasses = {};
+    for (let course of oldData["CLASSES"]) {
+        oldClasses[course["AREA-ACR"]] = course;
+    }
+    for (let course of newData["CLASSES"]) {
+        newClasses[course["AREA-ACR"]] = course;
+    }
+
+    let diff = {added: [], removed: [], renamed: [], renumbered: [], changed: []};
+    for (let acr of Object.keys(newClasses)) {
+        if (oldClasses[acr] == undefined) {
+            diff.added.push(acr);
+        }
+    }
+    for (let acr of Object.keys(oldClasses)) {
+        let oldCourse = oldClasses[acr];
+        let newCourse = newClasses[acr];
+        if (newCourse == undefined) {
+            diff.removed.push(acr);
+            continue;
+        }
+        if (oldCourse["NAME"].trim() != newCourse["NAME"].trim()) {
+            diff.renamed.push({acr, from: oldCourse["NAME"], to: newCourse["NAME"]});
+        }
+        if (oldCourse["UNITS"] != newCourse["UNITS"] || oldCourse["HOURS"] != newCourse["HOURS"]) {
+            diff.changed.push({acr, units: [oldCourse["UNITS"], newCourse["UNITS"]], hours: [oldCourse["HOURS"], newCourse["HOURS"]]});
+        }
+    }
+
+    // A removed class with an added twin in its area was renumbered rather than dropped
+    for (let from of diff.removed.slice()) {
+        let oldCourse = oldClasses[from];
+        let to = diff.added.find((acr) => newClasses[acr]["AREA"] == oldCourse["AREA"] &&
+            newClasses[acr]["NAME"].trim() == oldCourse["NAME"].trim());
+        if (to != undefined) {
+            diff.renumbered.push({from, to, name: oldCourse["NAME"].trim()});
+            diff.removed.splice(diff.removed.indexOf(from), 1);
+            diff.added.splice(diff.added.indexOf(to), 1);
+        }
+    }
+    return diff;
+}
+
+/**
+ * Get the majors and universities data (major_colleges.json).
+ * @returns {JSON}
+ */
+function get_major_colleges() {
+    get_catalogs();
+    return majorColleges;
+}
+
+module.exports = {
+    LEGACY_CATALOG_YEAR, parse_misc, parse_requisite, normalize_course, normalize_catalog,
+    validate_catalog, reload_catalogs, catalog_years, default_catalog_year, resolve_catalog_year,
+    schedule_catalog_year, get_catalog, get_course, get_courses, get_area_courses, get_division_courses,
+    filter_courses, get_cross_listing, are_equivalent, diff_catalogs, get_major_colleges
+}
@@ -0,0 +1,267 @@
+/**
+ * This file contains the university comparison of a schedule. Every university of the
+ * schedule gets a column, and every requirement (transferable units, the GE pattern and
+ * each major's preparation) gets a row, with a cell telling whether the requirement is
+ * MET by the classes of past terms, PLANNED in the current and later terms, or MISSING.
+ * The comparison also suggests the single classes that would help the most universities.
+ * The requirements of a single university and major are also described here, for the
+ * transfer information page.
+ *
+ * @file compare.js
+ * @version 10/19/2026
+ */
+
+const catalog = require('./catalog.js');
+const validation = require('./validation.js');
+const patterns = require('./patterns.js');
+const preparation = require('./preparation.js');
+const analytics = require('./analytics.js');
+const limits = require('./limits.js');
+
+// The university system of every group of major_colleges.json
+const SYSTEM_GROUPS = {"UNIVERSITY OF CALIFORNIA": "UC", "CALIFORNIA STATE UNIVERSITY": "CSU"};
+// The GE patterns every system accepts, the first being the one used when the schedule picked none of them
+const SYSTEM_PATTERNS = {"UC": ["IGETC", "Cal-GETC"], "CSU": ["CSU GE Breadth", "IGETC", "Cal-GETC"]};
+// The number of classes suggested
+const SUGGESTION_COUNT = 5;
+// The order of the statuses, from best to worst
+const STATUS_ORDER = ["MET", "PLANNED", "MISSING"];
+
+/**
+ * Get the system of a university.
+ * @param {String} university A university of major_colleges.json
+ * @returns {String} "UC", "CSU" or "OTHER"
+ */
+function university_system(university) {
+    let groups = catalog.get_major_colleges()["UNIVERSITIES"];
+    for (let group of Object.keys(SYSTEM_GROUPS)) {
+        if ((groups[group] || []).includes(university)) {
+            return SYSTEM_GROUPS[group];
+        }
+    }
+    return "OTHER";
+}
+
+/**
+ * Get the status of a requirement from whether the completed and all classes meet it.
+ * @param {Boolean} completed Whether the classes of past terms alone meet the requirement
+ * @param {Boolean} planned Whether every class of the schedule meets it
+ * @returns {String} "MET", "PLANNED" or "MISSING"
+ */
+function cell_status(completed, planned) {
+    return completed ? "MET" : planned ? "PLANNED" : "MISSING";
+}
+
+/**
+ * Count the units a system counts towards transfer.
+ * @param {JSON} schedule
+ * @param {String} system "UC", "CSU" or "OTHER"
+ * @returns {Number}
+ */
+function transfer_units(schedule, system) {
+    if (system == "UC") {
+        return limits.apply_limits(schedule, "UC")["COUNTED"];
+    }
+    let units = analytics.sum_units(analytics.counted_classes(schedule));
+    return system == "CSU" ? units["CSU"] : units["TOTAL"];
+}
+
+/**
+ * Evaluate a schedule against the GE pattern of a system, trying every accepted pattern
+ * the schedule picked (or the system's first pattern if it picked none) and keeping the best.
+ * @param {JSON} schedule
+ * @param {JSON} completed The schedule with only the terms before the current one
+ * @param {String} system "UC" or "CSU"
+ * @returns {JSON} The cell, along with the classes that would help it as NEEDS (null if no pattern was found)
+ */
+function ge_cell(schedule, completed, system) {
+    let year = catalog.schedule_catalog_year(schedule);
+    let names = SYSTEM_PATTERNS[system].filter((name) => (schedule["GE_PATTERNS"] || []).includes(name));
+    if (names.length == 0) {
+        names = [SYSTEM_PATTERNS[system][0]];
+    }
+    let cells = [];
+    for (let name of names) {
+        let pattern = patterns.get_pattern(name, year);
+        if (pattern == null) {
+            continue;
+        }
+        let result = patterns.evaluate_pattern(pattern, schedule);
+        let unsatisfied = result["AREAS"].filter((area) => area["STATUS"] != "SATISFIED");
+        // The classes of every unsatisfied area (of its missing subareas if it has any)
+        let needs = [];
+        for (let area of unsatisfied) {
+            let definition = pattern["AREAS"].find((other) => other["AREA"] == area["AREA"]);
+            let subareas = (definition["SUBAREAS"] || [definition])
+                .filter((subarea) => area["MISSING_SUBAREAS"].length == 0 || area["MISSING_SUBAREAS"].some((other) => other["AREA"] == subarea["AREA"]));
+            needs.push(...[].concat(...subareas.map((subarea) => subarea["CLASSES"])));
+        }
+        cells.push({
+            "STATUS": cell_status(patterns.evaluate_pattern(pattern, completed)["COMPLETE"], result["COMPLETE"]),
+            "DETAIL": name + (unsatisfied.length == 0 ? "" : ", needs " + unsatisfied.map((area) => area["AREA"]).join(", ")),
+            "NEEDS": needs,
+            "satisfied": result["COUNTS"]["SATISFIED"]
+        });
+    }
+    if (cells.length == 0) {
+        return null;
+    }
+    cells.sort((a, b) => STATUS_ORDER.indexOf(a["STATUS"]) - STATUS_ORDER.indexOf(b["STATUS"]) || b["satisfied"] - a["satisfied"]);
+    delete cells[0]["satisfied"];
+    return cells[0];
+}
+
+/**
+ * Compare a schedule across universities.
+ * @param {JSON} schedule
+ * @param {Array} universities (Optional) The universities to compare, defaults to the schedule's UNIVERSITIES
+ * @param {Date} date (Optional) The date to compare on, which defaults to now
+ * @returns {JSON} An object of the following structure:
+ * {
+ *      UNIVERSITIES: [{NAME, SYSTEM}], The columns
+ *      ROWS: [{
+ *          REQUIREMENT: [STRING], (e.g. "Transferable units", "General education" or "COMPUTER SCIENCE: Calculus I")
+ *          CELLS: [{STATUS: "MET" / "PLANNED" / "MISSING", DETAIL: [STRING]}] One for every university (null if it
+ *                 doesn't have the requirement, and "UNKNOWN" if its major preparation isn't on file)
+ *      }],
+ *      SUGGESTIONS: [{ACR, NAME, UNITS, UNIVERSITIES: [NAME], REQUIREMENTS: [NUMBER]}] The classes that would help
+ *                   the most universities with a MISSING requirement, best first
+ * }
+ */
+function compare_universities(schedule, universities = schedule["UNIVERSITIES"] || [], date = new Date()) {
+    let year = catalog.schedule_catalog_year(schedule);
+    let now = validation.current_term_index(date);
+    let completed = Object.assign({}, schedule, {
+        "SEMESTERS": schedule["SEMESTERS"].filter((semester) => validation.term_index(semester) < now)
+    });
+
+    let rows = [];
+    let row = (name) => {
+        let found = rows.find((other) => other["REQUIREMENT"] == name);
+        if (found == undefined) {
+            found = {"REQUIREMENT": name, "CELLS": universities.map(() => null)};
+            rows.push(found);
+        }
+        return found;
+    };
+    // The classes that would help every MISSING cell of every university
+    let needs = universities.map(() => []);
+
+    universities.forEach((university, column) => {
+        let system = university_system(university);
+
+        let units = transfer_units(schedule, system);
+        row("Transferable units")["CELLS"][column] = {
+            "STATUS": cell_status(transfer_units(completed, system) >= analytics.TRANSFER_UNITS, units >= analytics.TRANSFER_UNITS),
+            "DETAIL": units + " of " + analytics.TRANSFER_UNITS + (system == "OTHER" ? " units" : " " + system + " units")
+        };
+
+        let cell = system == "OTHER" ? null : ge_cell(schedule, completed, system);
+        if (cell != null) {
+            if (cell["STATUS"] == "MISSING") {
+                needs[column].push(cell["NEEDS"]);
+            }
+            delete cell["NEEDS"];
+            row("General education")["CELLS"][column] = cell;
+        }
+
+        for (let major of schedule["MAJORS"] || []) {
+            let prep = preparation.get_preparation(university, major, year);
+            if (prep == null) {
+                row(major + ": Major preparation")["CELLS"][column] = {"STATUS": "UNKNOWN", "DETAIL": "No major preparation on file"};
+                continue;
+            }
+            let planned = preparation.evaluate_major(prep, schedule)["REQUIREMENTS"];
+            let done = preparation.evaluate_major(prep, completed)["REQUIREMENTS"];
+            planned.forEach((requirement, index) => {
+                let status = cell_status(done[index]["STATUS"] == "PLANNED", requirement["STATUS"] == "PLANNED");
+                row(major + ": " + requirement["NAME"])["CELLS"][column] = {
+                    "STATUS": status,
+                    "DETAIL": status == "MISSING" ? "Missing " + requirement["MISSING"].join(", ") : requirement["PLANNED"].join(", ")
+                };
+                if (status == "MISSING") {
+                    needs[column].push([].concat(...requirement["OPTIONS"]));
+                }
+            });
+        }
+    });
+
+    // Score every class that some university needs by the universities (then the requirements) it helps
+    let candidates = [];
+    for (let acr of new Set([].concat(...needs.map((lists) => [].concat(...lists))))) {
+        let course = catalog.get_course(acr, year);
+        if (course == null || schedule["SEMESTERS"].some((semester) => semester["CLASSES"].some((other) => catalog.are_equivalent(acr, other, year)))) {
+            continue;
+        }
+        let equivalents = catalog.get_cross_listing(acr, year);
+        let helps = (list) => list.some((other) => equivalents.includes(other));
+        let helped = universities.filter((university, column) => needs[column].some(helps));
+        let requirements = needs.reduce((sum, lists) => sum + lists.filter(helps).length, 0);
+        candidates.push({"ACR": acr, "NAME": course["NAME"], "UNITS": course["UNITS"], "UNIVERSITIES": helped, "REQUIREMENTS": requirements});
+    }
+    candidates.sort((a, b) => b["UNIVERSITIES"].length - a["UNIVERSITIES"].length || b["REQUIREMENTS"] - a["REQUIREMENTS"] ||
+        a["ACR"].localeCompare(b["ACR"]));
+
+    return {
+        "UNIVERSITIES": universities.map((university) => ({"NAME": university, "SYSTEM": university_system(university)})),
+        "ROWS": rows,
+        "SUGGESTIONS": candidates.slice(0, SUGGESTION_COUNT)
+    };
+}
+
+/**
+ * Describe what a university expects of a transfer student in a major: the minimum
+ * transferable units, the GE patterns its system accepts and the major preparation.
+ * @param {String} university A university of major_colleges.json
+ * @param {String} major A major of major_colleges.json
+ * @param {String} year (Optional) A catalog year, defaults to the newest catalog
+ * @returns {JSON} An object of the following structure:
+ * {
+ *      UNIVERSITY, SYSTEM: "UC" / "CSU" / "OTHER", MAJOR, CATALOG_YEAR,
+ *      MINIMUM_UNITS: 60,
+ *      GE_PATTERNS: [{NAME, FULL_NAME, NOTE, AREAS: [{AREA, NAME, COURSES, UNITS}]}], Best first
+ *      UNIT_LIMITS: [{NAME, EXPLANATION}], The unit limitations of the system
+ *      PREPARATION: {
+ *          AVAILABLE: true / false, Whether the major preparation is on file
+ *          NOTE: [STRING],
+ *          REQUIREMENTS: [{NAME, OPTIONS: [[{ACR, NAME, UNITS}]]}]
+ *      }
+ * }
+ */
+function transfer_requirements(university, major, year) {
+    year = catalog.resolve_catalog_year(year);
+    let system = university_system(university);
+    let prep = preparation.get_preparation(university, major, year);
+    let describe = (acr) => {
+        let course = catalog.get_course(acr, year);
+        return {"ACR": acr, "NAME": course == null ? null : course["NAME"], "UNITS": course == null ? null : course["UNITS"]};
+    };
+    return {
+        "UNIVERSITY": university,
+        "SYSTEM": system,
+        "MAJOR": major,
+        "CATALOG_YEAR": year,
+        "MINIMUM_UNITS": analytics.TRANSFER_UNITS,
+        "GE_PATTERNS": (SYSTEM_PATTERNS[system] || []).map((name) => patterns.get_pattern(name, year))
+            .filter((pattern) => pattern != null)
+            .map((pattern) => ({
+                "NAME": pattern["NAME"],
+                "FULL_NAME": pattern["FULL_NAME"] || pattern["NAME"],
+                "NOTE": pattern["NOTE"] || null,
+                "AREAS": pattern["AREAS"].map((area) => ({"AREA": area["AREA"], "NAME": area["NAME"], "COURSES": area["COURSES"], "UNITS": area["UNITS"]}))
+            })),
+        "UNIT_LIMITS": system == "OTHER" ? [] : limits.get_limits(system).map((limit) => ({"NAME": limit["NAME"], "EXPLANATION": limit["EXPLANATION"]})),
+        "PREPARATION": {
+            "AVAILABLE": prep != null,
+            "NOTE": prep == null ? null : prep["NOTE"] || null,
+            "REQUIREMENTS": prep == null ? [] : prep["REQUIREMENTS"].map((requirement) => ({
+                "NAME": requirement["NAME"],
+                "OPTIONS": requirement["ONE_OF"].map((option) => option.map(describe))
+            }))
+        }
+    };
+}
+
+module.exports = {
+    university_system, compare_universities, transfer_requirements
+}
@@ -0,0 +1,308 @@
+/**
+ * This file contains the degree audit. A degree is an associate degree (AA or AS)
+ * or an associate degree for transfer (AA-T or AS-T), made up of the major's
+ * requirements, a GE pattern and a total number of units. Degrees are stored as
+ * YEAR_degrees.json files (e.g. 2021_2022_degrees.json), one for every catalog
+ * year, in the following format:
+ * {
+ *      "CATALOG_YEAR": "2021_2022",
+ *      "DEGREES": [{
+ *          "ID": "CS-AST", "NAME": "Computer Science", "TYPE": "AS-T",
+ *          "UNITS": 60, The total units of the degree (CSU transferable units for an AA-T or AS-T)
+ *          "GE_PATTERNS": ["CSU GE Breadth", "IGETC"], The GE patterns that complete the degree (any one of them)
+ *          "MAJORS": ["COMPUTER SCIENCE", ...], The majors of major_colleges.json the degree prepares for
+ *          "REQUIREMENTS": [
+ *              {"NAME": "Required Core", "TYPE": "ALL", "CLASSES": [ACR, ...]},
+ *              {"NAME": "List A", "TYPE": "CHOOSE", "COURSES": 2, "UNITS": 8, "CLASSES": [ACR, ...]}
+ *          ]
+ *      }]
+ * }
+ * An ALL requirement needs every one of its classes, while a CHOOSE requirement needs
+ * COURSES classes adding up to UNITS units from its list. A class of a schedule counts
+ * towards a single requirement only, but may count towards the GE pattern as well.
+ *
+ * @file degrees.js
+ * @version 10/19/2026
+ */
+
+const fs = require('fs');
+const path = require('path');
+const catalog = require('./catalog.js');
+const patterns = require('./patterns.js');
+const validation = require('./validation.js');
+
+// The directory holding every degree json file
+const DEGREE_DIR = __dirname;
+// Degree files are named after their catalog year, like 2021_2022_degrees.json
+const DEGREE_FILE_REGEX = /^(\d{4}_\d{4})_degrees\.json$/;
+// The degree types that are associate degrees for transfer
+const TRANSFER_TYPES = ["AA-T", "AS-T"];
+
+// The degrees in memory, by catalog year (null until first loaded, see reload_degrees)
+let degrees = null;
+
+/**
+ * Load every degree file from disk. Replaces the degrees in memory all at once.
+ * @returns {JSON} An object mapping every catalog year to the number of degrees loaded for it
+ */
+function reload_degrees() {
+    let loaded = {};
+    for (let file of fs.readdirSync(DEGREE_DIR)) {
+        let match = file.match(DEGREE_FILE_REGEX);
+        if (!match) {
+            continue;
+        }
+        try {
+            loaded[match[1]] = JSON.parse(fs.readFileSync(path.join(DEGREE_DIR, file)))["DEGREES"];
+        } catch (error) {
+            console.log("THE DEGREE FILE " + file + " COULD NOT BE PARSED. " + error.message);
+        }
+    }
+    degrees = loaded;
+    let summary = {};
+    for (let year of Object.keys(degrees).sort()) {
+        summary[year] = degrees[year].length;
+    }
+    return summary;
+}
+
+/**
+ * Get every degree of a catalog year. A catalog year without its own degree file uses
+ * the newest file from an earlier catalog year (or the oldest file if there is none).
+ * @param {String} year A catalog year (e.g. "2021_2022")
+ * @returns {Array} The degrees
+ */
+function get_degrees(year) {
+    if (degrees == null) {
+        reload_degrees();
+    }
+    let years = Object.keys(degrees).sort();
+    if (years.length == 0) {
+        return [];
+    }
+    let earlier = years.filter((other) => other <= year);
+    return degrees[earlier.length > 0 ? earlier[earlier.length - 1] : years[0]];
+}
+
+/**
+ * Get a degree of a catalog year.
+ * @param {String} id The degree's ID (e.g. "CS-AST")
+ * @param {String} year A catalog year (e.g. "2021_2022")
+ * @returns {JSON} The degree, or null if no degree has that ID
+ */
+function get_degree(id, year) {
+    return get_degrees(year).find((degree) => degree["ID"] == id) || null;
+}
+
+/**
+ * Describe a degree without its requirements, for the user to pick from.
+ * @param {JSON} degree
+ * @returns {JSON} An object of {ID, NAME, TYPE, UNITS, GE_PATTERNS, MAJORS}
+ */
+function degree_summary(degree) {
+    return {
+        "ID": degree["ID"],
+        "NAME": degree["NAME"],
+        "TYPE": degree["TYPE"],
+        "UNITS": degree["UNITS"],
+        "GE_PATTERNS": degree["GE_PATTERNS"],
+        "MAJORS": degree["MAJORS"]
+    };
+}
+
+/**
+ * Find the degrees that prepare for any of the given majors, associate degrees for
+ * transfer first.
+ * @param {Array} majors Majors of major_colleges.json (e.g. a schedule's MAJORS)
+ * @param {String} year A catalog year (e.g. "2021_2022")
+ * @returns {Array} The matching degrees
+ */
+function suggest_degrees(majors, year) {
+    let transfer = (degree) => TRANSFER_TYPES.includes(degree["TYPE"]) ? 0 : 1;
+    return get_degrees(year).filter((degree) => degree["MAJORS"].some((major) => majors.includes(major)))
+        .sort((a, b) => transfer(a) - transfer(b));
+}
+
+/**
+ * Get the status of a requirement from what the completed and the planned classes add up to.
+ * @param {Boolean} completed Whether the completed classes alone meet the requirement
+ * @param {Boolean} planned Whether the completed and planned classes together meet it
+ * @returns {String} "COMPLETED", "PLANNED" or "MISSING"
+ */
+function requirement_status(completed, planned) {
+    return completed ? "COMPLETED" : planned ? "PLANNED" : "MISSING";
+}
+
+/**
+ * Evaluate the classes of a schedule against a single requirement of a degree, taking
+ * the classes it uses out of the available classes.
+ * @param {JSON} requirement
+ * @param {Array} available The unused classes of the schedule, as {acr, units, completed} objects
+ * @param {String} year The catalog year of the schedule
+ * @returns {JSON} The requirement's result (see audit_degree)
+ */
+function audit_requirement(requirement, available, year) {
+    let matches = (entry, acr) => catalog.get_cross_listing(entry["acr"], year).includes(acr);
+    let taken = [];
+    let missing = [];
+    let courses = 0;
+    let units = 0;
+    if (requirement["TYPE"] == "ALL") {
+        for (let acr of requirement["CLASSES"]) {
+            let course = catalog.get_course(acr, year);
+            courses++;
+            units += course == null ? 0 : course["UNITS"];
+            let entry = available.find((other) => matches(other, acr));
+            if (entry == undefined) {
+                missing.push(acr);
+                continue;
+            }
+            available.splice(available.indexOf(entry), 1);
+            taken.push(entry);
+        }
+    } else {
+        courses = requirement["COURSES"];
+        units = requirement["UNITS"];
+        let candidates = available.filter((entry) => requirement["CLASSES"].some((acr) => matches(entry, acr)))
+            .sort((a, b) => b["completed"] - a["completed"] || b["units"] - a["units"]);
+        for (let entry of candidates) {
+            if (taken.length >= courses && taken.reduce((sum, other) => sum + other["units"], 0) >= units) {
+                break;
+            }
+            available.splice(available.indexOf(entry), 1);
+            taken.push(entry);
+        }
+        if (taken.length < courses || taken.reduce((sum, other) => sum + other["units"], 0) < units) {
+            missing = requirement["CLASSES"].filter((acr) => !taken.some((entry) => matches(entry, acr)));
+        }
+    }
+
+    let completed = taken.filter((entry) => entry["completed"]);
+    let meets = (entries) => entries.length >= courses && entries.reduce((sum, entry) => sum + entry["units"], 0) >= units;
+    return {
+        "NAME": requirement["NAME"],
+        "TYPE": requirement["TYPE"],
+        "STATUS": requirement_status(meets(completed), meets(taken)),
+        "COURSES": [taken.length, courses],
+        "UNITS": [taken.reduce((sum, entry) => sum + entry["units"], 0), units],
+        "COMPLETED": completed.map((entry) => entry["acr"]),
+        "PLANNED": taken.filter((entry) => !entry["completed"]).map((entry) => entry["acr"]),
+        "MISSING": missing
+    };
+}
+
+/**
+ * Evaluate a schedule against the GE patterns of a degree, reporting the first pattern
+ * that the completed classes finish, else the first that the planned classes finish,
+ * else the one with the most satisfied areas. The schedule's own GE_PATTERNS are tried first.
+ * @param {JSON} degree
+ * @param {JSON} schedule
+ * @param {Number} now The term_index of the current term
+ * @returns {JSON} The GE result (see audit_degree), or null if the degree has no GE pattern
+ */
+function audit_ge(degree, schedule, now) {
+    let year = catalog.schedule_catalog_year(schedule);
+    let preferred = schedule["GE_PATTERNS"] || [];
+    let names = degree["GE_PATTERNS"].slice().sort((a, b) => preferred.includes(b) - preferred.includes(a));
+    let completedSchedule = Object.assign({}, schedule, {
+        "SEMESTERS": schedule["SEMESTERS"].filter((semester) => validation.term_index(semester) < now)
+    });
+    let results = [];
+    for (let name of names) {
+        let pattern = patterns.get_pattern(name, year);
+        if (pattern != null) {
+            results.push({
+                "planned": patterns.evaluate_pattern(pattern, schedule),
+                "completed": patterns.evaluate_pattern(pattern, completedSchedule)
+            });
+        }
+    }
+    if (results.length == 0) {
+        return null;
+    }
+    let best = results.find((result) => result["completed"]["COMPLETE"]) ||
+        results.find((result) => result["planned"]["COMPLETE"]) ||
+        results.slice().sort((a, b) => b["planned"]["COUNTS"]["SATISFIED"] - a["planned"]["COUNTS"]["SATISFIED"])[0];
+    return {
+        "PATTERN": best["planned"]["PATTERN"],
+        "STATUS": requirement_status(best["completed"]["COMPLETE"], best["planned"]["COMPLETE"]),
+        "COUNTS": best["planned"]["COUNTS"],
+        "MISSING_AREAS": best["planned"]["AREAS"].filter((area) => area["STATUS"] != "SATISFIED")
+            .map((area) => ({"AREA": area["AREA"], "NAME": area["NAME"]}))
+    };
+}
+
+/**
+ * Audit a schedule against a degree. Classes of terms that have ended are COMPLETED,
+ * while classes of the current and later terms are PLANNED.
+ *
+ * @param {JSON} degree A degree (see get_degree)
+ * @param {JSON} schedule
+ * @param {Date} date (Optional) The date to audit on, which defaults to now
+ * @returns {JSON} An object of the following structure:
+ * {
+ *      DEGREE: {ID, NAME, TYPE, UNITS, GE_PATTERNS, MAJORS},
+ *      CATALOG_YEAR: [STRING],
+ *      STATUS: "COMPLETED" / "PLANNED" / "MISSING", (the worst status of everything below)
+ *      REQUIREMENTS: [{
+ *          NAME, TYPE,
+ *          STATUS: "COMPLETED" / "PLANNED" / "MISSING",
+ *          COURSES: [TAKEN, REQUIRED],
+ *          UNITS: [TAKEN, REQUIRED],
+ *          COMPLETED: [ACR], PLANNED: [ACR],
+ *          MISSING: [ACR] The classes still needed (for a CHOOSE requirement, the classes left to choose from)
+ *      }],
+ *      UNITS: {STATUS, COMPLETED: [NUMBER], PLANNED: [NUMBER], REQUIRED: [NUMBER], TRANSFERABLE: true / false},
+ *      GE: {PATTERN, STATUS, COUNTS: {SATISFIED, PARTIAL, MISSING}, MISSING_AREAS: [{AREA, NAME}]}
+ * }
+ */
+function audit_degree(degree, schedule, date = new Date()) {
+    let year = catalog.schedule_catalog_year(schedule);
+    let now = validation.current_term_index(date);
+    let transferable = TRANSFER_TYPES.includes(degree["TYPE"]);
+
+    // Every class of the schedule in its catalog, earliest term first, counting cross-listed classes once
+    let available = [];
+    let semesters = schedule["SEMESTERS"].slice().sort((a, b) => validation.term_index(a) - validation.term_index(b));
+    for (let semester of semesters) {
+        for (let acr of semester["CLASSES"]) {
+            let course = catalog.get_course(acr, year);
+            if (course != null && !available.some((other) => catalog.are_equivalent(acr, other["acr"], year))) {
+                available.push({
+                    "acr": acr,
+                    "units": course["UNITS"],
+                    "transferable": course["TRANSFERABLE_CSU"],
+                    "completed": validation.term_index(semester) < now
+                });
+            }
+        }
+    }
+    let counted = available.filter((entry) => !transferable || entry["transferable"]);
+    let completedUnits = counted.filter((entry) => entry["completed"]).reduce((sum, entry) => sum + entry["units"], 0);
+    let plannedUnits = counted.filter((entry) => !entry["completed"]).reduce((sum, entry) => sum + entry["units"], 0);
+
+    let requirements = degree["REQUIREMENTS"].map((requirement) => audit_requirement(requirement, available, year));
+    let units = {
+        "STATUS": requirement_status(completedUnits >= degree["UNITS"], completedUnits + plannedUnits >= degree["UNITS"]),
+        "COMPLETED": completedUnits,
+        "PLANNED": plannedUnits,
+        "REQUIRED": degree["UNITS"],
+        "TRANSFERABLE": transferable
+    };
+    let ge = audit_ge(degree, schedule, now);
+
+    let statuses = requirements.map((requirement) => requirement["STATUS"]).concat(units["STATUS"], ge == null ? [] : ge["STATUS"]);
+    let status = statuses.includes("MISSING") ? "MISSING" : statuses.includes("PLANNED") ? "PLANNED" : "COMPLETED";
+    return {
+        "DEGREE": degree_summary(degree),
+        "CATALOG_YEAR": year,
+        "STATUS": status,
+        "REQUIREMENTS": requirements,
+        "UNITS": units,
+        "GE": ge
+    };
+}
+
+module.exports = {
+    TRANSFER_TYPES, reload_degrees, get_degrees, get_degree, degree_summary, suggest_degrees, audit_degree
+}
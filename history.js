@@ -0,0 +1,184 @@
+/**
+ * This file contains the edit history of a schedule. Every edit is stored as an operation
+ * in the schedule's HISTORY, oldest first, and HISTORY_INDEX counts the operations that
+ * are currently applied. Undoing applies the inverse of the operation before HISTORY_INDEX,
+ * redoing applies the operation at HISTORY_INDEX, and a new edit drops the operations that
+ * were undone. An operation is one of the following:
+ * {
+ *      "TYPE": "ADD", "ACR": [STRING], "SEASON": [STRING], "YEAR": [NUMBER], "INDEX": [NUMBER], "DATE": [NUMBER]
+ *              The class was inserted at INDEX of the semester's CLASSES
+ *      "TYPE": "REMOVE", ... The class was removed from INDEX of the semester's CLASSES
+ *      "TYPE": "MOVE", ..., "TO_SEASON": [STRING], "TO_YEAR": [NUMBER], "TO_INDEX": [NUMBER]
+ *              The class was removed from INDEX of its semester and inserted at TO_INDEX of another
+ *      "TYPE": "BATCH", "OPERATIONS": [OPERATION, ...], "DATE": [NUMBER]
+ *              Every operation was applied in order, all at once (and is undone all at once)
+ * }
+ * Schedules made before the history was kept start with an empty history.
+ *
+ * @file history.js
+ * @version 10/19/2026
+ */
+
+// The most operations kept in a schedule's history (the oldest are dropped first)
+const HISTORY_LIMIT = 100;
+// The inverse of every type of operation (a MOVE is undone by moving the class back)
+const INVERSE_TYPES = {"ADD": "REMOVE", "REMOVE": "ADD", "MOVE": "MOVE", "BATCH": "BATCH"};
+
+/**
+ * Find the semester of a schedule for a term.
+ * @param {Array} semesters The SEMESTERS of a schedule
+ * @param {String} season
+ * @param {Number} year
+ * @returns {JSON} The semester, or undefined if the schedule doesn't have it
+ */
+function find_semester(semesters, season, year) {
+    return semesters.find((semester) => semester["SEASON"] == season && semester["YEAR"] == year);
+}
+
+/**
+ * Insert a class into the semester of a term, adding the semester if the schedule doesn't have it.
+ * @param {Array} semesters The SEMESTERS of a schedule, which are changed in place
+ * @param {String} acr
+ * @param {String} season
+ * @param {Number} year
+ * @param {JSON} operation The operation inserting the class
+ * @param {String} field The field of the operation holding the index to insert at, which is set to the
+ * end of the semester if it is missing (or past the end)
+ */
+function insert_class(semesters, acr, season, year, operation, field) {
+    let semester = find_semester(semesters, season, year);
+    if (semester == undefined) {
+        semester = {"SEASON": season, "YEAR": year, "CLASSES": []};
+        semesters.push(semester);
+    }
+    if (operation[field] == undefined || operation[field] > semester["CLASSES"].length) {
+        operation[field] = semester["CLASSES"].length;
+    }
+    semester["CLASSES"].splice(operation[field], 0, acr);
+}
+
+/**
+ * Apply an operation to the semesters of a schedule, adding the semester an ADD or MOVE needs and
+ * dropping the semesters left without classes. An operation without an INDEX (a new edit)
+ * adds the class at the end of its semester or removes (or moves) its first instance, and is given
+ * the INDEX (and TO_INDEX) used.
+ * @param {Array} semesters The SEMESTERS of a schedule, which are changed in place
+ * @param {JSON} operation
+ * @returns {Boolean} Whether the operation changed the semesters (false if it removes or moves a class that isn't
+ * there, or moves a class to its own term, and false without changing anything if any operation of a BATCH is,
+ * setting the BATCH's FAILED to the index of that operation)
+ */
+function apply_operation(semesters, operation) {
+    if (operation["TYPE"] == "BATCH") {
+        // Apply every operation to a copy, keeping it only if all of them applied
+        let copy = JSON.parse(JSON.stringify(semesters));
+        let failed = operation["OPERATIONS"].findIndex((inner) => !apply_operation(copy, inner));
+        if (failed != -1) {
+            operation["FAILED"] = failed;
+            return false;
+        }
+        semesters.splice(0, semesters.length, ...copy);
+        return true;
+    }
+    let semester = find_semester(semesters, operation["SEASON"], operation["YEAR"]);
+    if (operation["TYPE"] == "ADD") {
+        insert_class(semesters, operation["ACR"], operation["SEASON"], operation["YEAR"], operation, "INDEX");
+    } else if (operation["TYPE"] == "REMOVE" || operation["TYPE"] == "MOVE") {
+        if (semester == undefined) {
+            return false;
+        }
+        if (operation["TYPE"] == "MOVE" && operation["SEASON"] == operation["TO_SEASON"] && operation["YEAR"] == operation["TO_YEAR"]) {
+            return false;
+        }
+        if (operation["INDEX"] == undefined || semester["CLASSES"][operation["INDEX"]] != operation["ACR"]) {
+            operation["INDEX"] = semester["CLASSES"].indexOf(operation["ACR"]);
+        }
+        if (operation["INDEX"] == -1) {
+            return false;
+        }
+        semester["CLASSES"].splice(operation["INDEX"], 1);
+        if (operation["TYPE"] == "MOVE") {
+            insert_class(semesters, operation["ACR"], operation["TO_SEASON"], operation["TO_YEAR"], operation, "TO_INDEX");
+        }
+    } else {
+        return false;
+    }
+
+    // Trim semesters with empty classes
+    for (let i = semesters.length - 1; i >= 0; i--) {
+        if (semesters[i]["CLASSES"].length == 0) {
+            semesters.splice(i, 1);
+        }
+    }
+    return true;
+}
+
+/**
+ * Get the operation that undoes another.
+ * @param {JSON} operation
+ * @returns {JSON} The inverse operation
+ */
+function invert_operation(operation) {
+    let inverse = Object.assign({}, operation, {"TYPE": INVERSE_TYPES[operation["TYPE"]]});
+    if (operation["TYPE"] == "BATCH") {
+        inverse["OPERATIONS"] = operation["OPERATIONS"].slice().reverse().map(invert_operation);
+    } else if (operation["TYPE"] == "MOVE") {
+        Object.assign(inverse, {
+            "SEASON": operation["TO_SEASON"], "YEAR": operation["TO_YEAR"], "INDEX": operation["TO_INDEX"],
+            "TO_SEASON": operation["SEASON"], "TO_YEAR": operation["YEAR"], "TO_INDEX": operation["INDEX"]
+        });
+    }
+    return inverse;
+}
+
+/**
+ * Get the number of operations of a schedule's history that are currently applied.
+ * @param {JSON} schedule
+ * @returns {Number}
+ */
+function history_index(schedule) {
+    let length = (schedule["HISTORY"] || []).length;
+    return schedule["HISTORY_INDEX"] == undefined ? length : Math.min(schedule["HISTORY_INDEX"], length);
+}
+
+/**
+ * Record an operation that was just applied to a schedule, dropping the operations that were undone.
+ * @param {JSON} schedule The schedule, whose HISTORY and HISTORY_INDEX are changed in place
+ * @param {JSON} operation
+ * @param {Date} date (Optional) When the operation was applied, defaults to now
+ */
+function record_operation(schedule, operation, date = new Date()) {
+    let kept = (schedule["HISTORY"] || []).slice(0, history_index(schedule));
+    kept.push(Object.assign({}, operation, {"DATE": date.getTime()}));
+    schedule["HISTORY"] = kept.slice(Math.max(kept.length - HISTORY_LIMIT, 0));
+    schedule["HISTORY_INDEX"] = schedule["HISTORY"].length;
+}
+
+/**
+ * Restore a schedule to a point of its history, undoing or redoing every operation in between.
+ * Point 0 is the schedule before any recorded edit, and point N is the schedule after the Nth.
+ * @param {JSON} schedule The schedule, whose SEMESTERS and HISTORY_INDEX are changed in place
+ * @param {Number} point
+ * @returns {Boolean} false if the history has no such point
+ */
+function restore_point(schedule, point) {
+    let history = schedule["HISTORY"] || [];
+    if (!Number.isInteger(point) || point < 0 || point > history.length) {
+        return false;
+    }
+    let index = history_index(schedule);
+    while (index > point) {
+        index--;
+        apply_operation(schedule["SEMESTERS"], invert_operation(history[index]));
+    }
+    while (index < point) {
+        apply_operation(schedule["SEMESTERS"], history[index]);
+        index++;
+    }
+    schedule["HISTORY_INDEX"] = index;
+    return true;
+}
+
+module.exports = {
+    HISTORY_LIMIT, apply_operation, invert_operation, history_index, record_operation, restore_point
+}
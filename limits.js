@@ -0,0 +1,158 @@
+/**
+ * This file contains the unit limitations of the university systems, which make the
+ * raw units of a schedule (its CREDITS) differ from the units a university counts.
+ * The limitations are stored in unit_limits.json, each of one of the following types:
+ * {
+ *      "ID": "UC_REPEAT", "SYSTEM": "UC", "NAME": [STRING], "EXPLANATION": [STRING],
+ *      "TYPE": "REPEAT" A class taken more than once counts once
+ *      "TYPE": "SERIES", "GROUPS": [[ACR, ...], ...] Only the group with the most units counts
+ *      "TYPE": "UNITS", "LIMIT": [NUMBER], The most units that the matching classes count for,
+ *              "AREAS": [AREA, ...], "CLASSES": [ACR, ...], "NAME_PATTERN": [REGEX] (a class matching any of them)
+ * }
+ * Limitations are applied in the order REPEAT, SERIES and UNITS, and only to the classes
+ * transferable to the system.
+ *
+ * @file limits.js
+ * @version 10/19/2026
+ */
+
+const fs = require('fs');
+const path = require('path');
+const catalog = require('./catalog.js');
+const analytics = require('./analytics.js');
+
+// The file holding every unit limitation
+const LIMITS_FILE = path.join(__dirname, "unit_limits.json");
+// The order in which the types of limitations are applied
+const TYPE_ORDER = ["REPEAT", "SERIES", "UNITS"];
+// The catalog field marking a class as transferable to each system
+const TRANSFERABLE_FIELDS = {"UC": "TRANSFERABLE_UC", "CSU": "TRANSFERABLE_CSU"};
+
+// The limitations in memory (null until first loaded, see reload_limits)
+let limits = null;
+
+/**
+ * Load every unit limitation from disk.
+ * @returns {JSON} An object mapping every system to the number of limitations loaded for it
+ */
+function reload_limits() {
+    let loaded = [];
+    try {
+        loaded = JSON.parse(fs.readFileSync(LIMITS_FILE))["LIMITS"];
+    } catch (error) {
+        console.log("THE UNIT LIMITS FILE COULD NOT BE PARSED. " + error.message);
+    }
+    limits = loaded;
+    let summary = {};
+    for (let limit of limits) {
+        summary[limit["SYSTEM"]] = (summary[limit["SYSTEM"]] || 0) + 1;
+    }
+    return summary;
+}
+
+/**
+ * Get the unit limitations of a system, in the order they are applied.
+ * @param {String} system "UC" or "CSU"
+ * @returns {Array} The limitations
+ */
+function get_limits(system) {
+    if (limits == null) {
+        reload_limits();
+    }
+    return limits.filter((limit) => limit["SYSTEM"] == system)
+        .sort((a, b) => TYPE_ORDER.indexOf(a["TYPE"]) - TYPE_ORDER.indexOf(b["TYPE"]));
+}
+
+/**
+ * Check whether a class matches a UNITS limitation.
+ * @param {JSON} limit
+ * @param {JSON} course A normalized class
+ * @returns {Boolean}
+ */
+function matches_limit(limit, course) {
+    return (limit["AREAS"] || []).includes(course["AREA"]) ||
+        (limit["CLASSES"] || []).includes(course["AREA-ACR"]) ||
+        (limit["NAME_PATTERN"] != undefined && new RegExp(limit["NAME_PATTERN"], "i").test(course["NAME"]));
+}
+
+/**
+ * Apply the unit limitations of a system to a schedule.
+ * @param {JSON} schedule
+ * @param {String} system (Optional) "UC" or "CSU", defaults to "UC"
+ * @returns {JSON} An object of the following structure:
+ * {
+ *      SYSTEM: [STRING],
+ *      RAW: [NUMBER], The transferable units before any limitation
+ *      COUNTED: [NUMBER], The transferable units the system counts
+ *      CAPS: [{ID, NAME, EXPLANATION, CLASSES: [ACR], RAW, COUNTED}] Every limitation that
+ *            lowered the units, with the classes it applied to and their units before and after it
+ * }
+ */
+function apply_limits(schedule, system = "UC") {
+    let year = catalog.schedule_catalog_year(schedule);
+    let field = TRANSFERABLE_FIELDS[system];
+    let entries = analytics.counted_classes(schedule).filter((entry) => entry["course"][field]);
+    let units = (list) => list.reduce((sum, entry) => sum + entry["course"]["UNITS"], 0);
+    let raw = units(entries);
+    // The units counted for the classes taken out by UNITS limitations
+    let capped = 0;
+    let caps = [];
+
+    for (let limit of get_limits(system)) {
+        let applied = [];
+        let kept = [];
+        if (limit["TYPE"] == "REPEAT") {
+            // Keep the first time every repeated class is taken
+            applied = entries.filter((entry) => entries.filter((other) => other["acr"] == entry["acr"]).length > 1);
+            kept = applied.filter((entry, index) => applied.findIndex((other) => other["acr"] == entry["acr"]) == index);
+        } else if (limit["TYPE"] == "SERIES") {
+            let inGroup = (entry, group) => group.some((acr) => catalog.get_cross_listing(entry["acr"], year).includes(acr));
+            let taken = limit["GROUPS"].map((group) => entries.filter((entry) => inGroup(entry, group)));
+            let best = taken.reduce((most, group) => units(group) > units(most) ? group : most, []);
+            let others = [].concat(...taken.filter((group) => group != best));
+            applied = others.length > 0 ? best.concat(others) : [];
+            kept = best;
+        } else if (limit["TYPE"] == "UNITS") {
+            // The capped classes are taken out of the entries (as the excluded ones below), so that
+            // a class matching another UNITS limitation isn't capped twice
+            let matching = entries.filter((entry) => matches_limit(limit, entry["course"]));
+            if (units(matching) > limit["LIMIT"]) {
+                caps.push({
+                    "ID": limit["ID"],
+                    "NAME": limit["NAME"],
+                    "EXPLANATION": limit["EXPLANATION"],
+                    "CLASSES": matching.map((entry) => entry["acr"]),
+                    "RAW": units(matching),
+                    "COUNTED": limit["LIMIT"]
+                });
+                capped += limit["LIMIT"];
+                entries = entries.filter((entry) => !matching.includes(entry));
+            }
+            continue;
+        }
+        let excluded = applied.filter((entry) => !kept.includes(entry));
+        if (excluded.length == 0) {
+            continue;
+        }
+        caps.push({
+            "ID": limit["ID"],
+            "NAME": limit["NAME"],
+            "EXPLANATION": limit["EXPLANATION"],
+            "CLASSES": applied.map((entry) => entry["acr"]),
+            "RAW": units(applied),
+            "COUNTED": units(applied) - units(excluded)
+        });
+        entries = entries.filter((entry) => !excluded.includes(entry));
+    }
+
+    return {
+        "SYSTEM": system,
+        "RAW": raw,
+        "COUNTED": units(entries) + capped,
+        "CAPS": caps
+    };
+}
+
+module.exports = {
+    reload_limits, get_limits, apply_limits
+}
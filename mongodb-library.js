@@ -138,7 +138,32 @@ async function delete_docs_q(query, database = "default", collection = "default"
     return response;
 }
 
+/**
+ * Create an index on a collection (nothing is done if the index already exists).
+ * A unique index makes any insert or update that would duplicate its keys fail (see is_duplicate_key).
+ *
+ * @param {JSON} keys For example {user_id: 1, NAME: 1}
+ * @param {JSON} options For example {unique: true}
+ * @param {String} database
+ * @param {String} collection
+ * @returns {String} The name of the index
+ */
+async function create_index(keys, options = {}, database = "default", collection = "default") {
+    let response = await client.db(database).collection(collection).createIndex(keys, options);
+    return response;
+}
+
+/**
+ * Check whether an error was thrown because a write would have duplicated the keys of a unique index.
+ *
+ * @param {Error} error
+ * @returns {Boolean}
+ */
+function is_duplicate_key(error) {
+    return error != null && error.code == 11000;
+}
+
 module.exports = {
     client, isConnected:false, connectClient, closeClient, add_data, get_data, delete_doc_id,
-    delete_docs_q, update_docs, get_data_paged
+    delete_docs_q, update_docs, get_data_paged, create_index, is_duplicate_key
 };
\ No newline at end of file
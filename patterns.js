@@ -0,0 +1,234 @@
+/**
+ * This file contains the general education (GE) requirements engine. A GE
+ * pattern, such as IGETC, CSU GE Breadth or Cal-GETC, is a list of areas
+ * (1A, 1B, ..., 7), each requiring a number of courses and units from its list
+ * of approved classes. Patterns are stored as YEAR_NAME_pattern.json files
+ * (e.g. 2021_2022_igetc_pattern.json), one for every catalog year, in the
+ * following format:
+ * {
+ *      "NAME": "IGETC",
+ *      "FULL_NAME": "Intersegmental General Education Transfer Curriculum",
+ *      "NOTE": [STRING], Who the pattern is for
+ *      "CATALOG_YEAR": "2021_2022",
+ *      "AREAS": [
+ *          {
+ *              "AREA": "1A", "NAME": "English Composition", "COURSES": 1, "UNITS": 3,
+ *              "NOTE": [STRING] (Optional),
+ *              "CLASSES": [ACR, ...]
+ *          },
+ *          {
+ *              "AREA": "3", "NAME": "Arts and Humanities", "COURSES": 3, "UNITS": 9,
+ *              "SUBAREAS": [{"AREA": "3A", "NAME": "Arts", "CLASSES": [ACR, ...]}, ...]
+ *          }
+ *      ]
+ * }
+ * An area with SUBAREAS requires at least one class from every subarea (a class
+ * may be listed in more than one subarea, such as a lab science in 5A and 5C).
+ * A class of a schedule counts towards a single area only.
+ *
+ * @file patterns.js
+ * @version 10/19/2026
+ */
+
+const fs = require('fs');
+const path = require('path');
+const catalog = require('./catalog.js');
+
+// The directory holding every pattern json file
+const PATTERN_DIR = __dirname;
+// Pattern files are named after their catalog year and pattern, like 2021_2022_igetc_pattern.json
+const PATTERN_FILE_REGEX = /^(\d{4}_\d{4})_(\w+)_pattern\.json$/;
+
+// The patterns a schedule is evaluated against when none were picked for it
+const DEFAULT_PATTERNS = ["IGETC"];
+
+// The patterns in memory, by NAME and then by catalog year (null until first loaded, see reload_patterns)
+let patterns = null;
+
+/**
+ * Load every pattern file from disk. Replaces the patterns in memory all at once.
+ * @returns {JSON} An object mapping every pattern NAME to the catalog years it was loaded for
+ */
+function reload_patterns() {
+    let loaded = {};
+    for (let file of fs.readdirSync(PATTERN_DIR)) {
+        let match = file.match(PATTERN_FILE_REGEX);
+        if (!match) {
+            continue;
+        }
+        try {
+            let pattern = JSON.parse(fs.readFileSync(path.join(PATTERN_DIR, file)));
+            pattern["CATALOG_YEAR"] = match[1];
+            (loaded[pattern["NAME"]] = loaded[pattern["NAME"]] || {})[match[1]] = pattern;
+        } catch (error) {
+            console.log("THE PATTERN FILE " + file + " COULD NOT BE PARSED. " + error.message);
+        }
+    }
+    patterns = loaded;
+    let summary = {};
+    for (let name of Object.keys(patterns)) {
+        summary[name] = Object.keys(patterns[name]).sort();
+    }
+    return summary;
+}
+
+/**
+ * List the name of every pattern that has been loaded.
+ * @returns {Array} The pattern names (e.g. ["IGETC"])
+ */
+function pattern_names() {
+    if (patterns == null) {
+        reload_patterns();
+    }
+    return Object.keys(patterns).sort();
+}
+
+/**
+ * Describe every pattern available for a catalog year, for the user to pick from.
+ * @param {String} year A catalog year (e.g. "2021_2022")
+ * @returns {Array} An array of {NAME, FULL_NAME, NOTE} objects
+ */
+function pattern_summaries(year) {
+    return pattern_names().map((name) => {
+        let pattern = get_pattern(name, year);
+        return {"NAME": name, "FULL_NAME": pattern["FULL_NAME"] || name, "NOTE": pattern["NOTE"] || null};
+    });
+}
+
+/**
+ * Get a pattern for a catalog year. A catalog year without its own version of the
+ * pattern uses the newest version from an earlier catalog year (or the oldest version
+ * if there is none).
+ * @param {String} name The pattern's NAME (e.g. "IGETC")
+ * @param {String} year A catalog year (e.g. "2021_2022")
+ * @returns {JSON} The pattern, or null if no pattern has that name
+ */
+function get_pattern(name, year) {
+    if (!pattern_names().includes(name)) {
+        return null;
+    }
+    let years = Object.keys(patterns[name]).sort();
+    let earlier = years.filter((other) => other <= year);
+    return patterns[name][earlier.length > 0 ? earlier[earlier.length - 1] : years[0]];
+}
+
+/**
+ * List every subarea of an area, treating an area without SUBAREAS as its own single subarea.
+ * @param {JSON} area An area of a pattern
+ * @returns {Array} An array of {AREA, NAME, CLASSES} objects
+ */
+function area_subareas(area) {
+    return area["SUBAREAS"] || [{"AREA": area["AREA"], "NAME": area["NAME"], "CLASSES": area["CLASSES"]}];
+}
+
+/**
+ * Find the subareas of an area that a class counts towards (through itself or a cross-listed class).
+ * @param {JSON} area An area of a pattern
+ * @param {String} acr
+ * @param {String} year The catalog year of the schedule
+ * @returns {Array} The AREA of every matching subarea
+ */
+function matching_subareas(area, acr, year) {
+    let equivalents = catalog.get_cross_listing(acr, year);
+    return area_subareas(area).filter((subarea) => subarea["CLASSES"].some((other) => equivalents.includes(other)))
+        .map((subarea) => subarea["AREA"]);
+}
+
+/**
+ * Evaluate a schedule against a GE pattern. Areas are filled in order, each taking the
+ * classes it needs from the schedule's unused classes: first those covering a missing
+ * subarea, then those that count towards the fewest other areas, then those with the most units.
+ *
+ * @param {JSON} pattern A pattern (see get_pattern)
+ * @param {JSON} schedule
+ * @returns {JSON} An object of the following structure:
+ * {
+ *      PATTERN: [STRING], FULL_NAME: [STRING], CATALOG_YEAR: [STRING], The pattern and the catalog year of its version
+ *      COMPLETE: true / false,
+ *      COUNTS: {SATISFIED: [NUMBER], PARTIAL: [NUMBER], MISSING: [NUMBER]},
+ *      AREAS: [{
+ *          AREA, NAME, NOTE,
+ *          STATUS: "SATISFIED" / "PARTIAL" / "MISSING",
+ *          CLASSES: [ACR], The classes of the schedule counted towards the area
+ *          COURSES: [TAKEN, REQUIRED],
+ *          UNITS: [TAKEN, REQUIRED],
+ *          MISSING_SUBAREAS: [{AREA, NAME}]
+ *      }]
+ * }
+ */
+function evaluate_pattern(pattern, schedule) {
+    let year = catalog.schedule_catalog_year(schedule);
+
+    // Every class of the schedule in its catalog, counting cross-listed classes once
+    let available = [];
+    for (let semester of schedule["SEMESTERS"]) {
+        for (let acr of semester["CLASSES"]) {
+            let course = catalog.get_course(acr, year);
+            if (course != null && !available.some((other) => catalog.are_equivalent(acr, other["acr"], year))) {
+                available.push({"acr": acr, "units": course["UNITS"]});
+            }
+        }
+    }
+    for (let entry of available) {
+        entry["areas"] = pattern["AREAS"].filter((area) => matching_subareas(area, entry["acr"], year).length > 0).length;
+    }
+
+    let result = {
+        "PATTERN": pattern["NAME"],
+        "FULL_NAME": pattern["FULL_NAME"] || pattern["NAME"],
+        "CATALOG_YEAR": pattern["CATALOG_YEAR"],
+        "COMPLETE": true,
+        "COUNTS": {"SATISFIED": 0, "PARTIAL": 0, "MISSING": 0},
+        "AREAS": []
+    };
+    for (let area of pattern["AREAS"]) {
+        let taken = [];
+        let units = 0;
+        let covered = [];
+        let candidates = available.filter((entry) => matching_subareas(area, entry["acr"], year).length > 0);
+        while (candidates.length > 0) {
+            let missing = area_subareas(area).map((subarea) => subarea["AREA"]).filter((sub) => !covered.includes(sub));
+            if (taken.length >= area["COURSES"] && units >= area["UNITS"] && missing.length == 0) {
+                break;
+            }
+            let newlyCovered = (entry) => matching_subareas(area, entry["acr"], year).filter((sub) => missing.includes(sub)).length;
+            candidates.sort((a, b) => newlyCovered(b) - newlyCovered(a) || a["areas"] - b["areas"] || b["units"] - a["units"]);
+            let chosen = candidates.shift();
+            // Once enough courses are taken, only take classes that still add something
+            if (taken.length >= area["COURSES"] && newlyCovered(chosen) == 0 && units >= area["UNITS"]) {
+                break;
+            }
+            available.splice(available.indexOf(chosen), 1);
+            taken.push(chosen["acr"]);
+            units += chosen["units"];
+            covered.push(...matching_subareas(area, chosen["acr"], year));
+        }
+
+        let missingSubareas = area["SUBAREAS"] == undefined ? [] : area["SUBAREAS"]
+            .filter((subarea) => !covered.includes(subarea["AREA"]))
+            .map((subarea) => ({"AREA": subarea["AREA"], "NAME": subarea["NAME"]}));
+        let status = "PARTIAL";
+        if (taken.length >= area["COURSES"] && units >= area["UNITS"] && missingSubareas.length == 0) {
+            status = "SATISFIED";
+        } else if (taken.length == 0) {
+            status = "MISSING";
+        }
+        result["COUNTS"][status]++;
+        result["COMPLETE"] = result["COMPLETE"] && status == "SATISFIED";
+        result["AREAS"].push({
+            "AREA": area["AREA"],
+            "NAME": area["NAME"],
+            "NOTE": area["NOTE"] || null,
+            "STATUS": status,
+            "CLASSES": taken,
+            "COURSES": [taken.length, area["COURSES"]],
+            "UNITS": [units, area["UNITS"]],
+            "MISSING_SUBAREAS": missingSubareas
+        });
+    }
+    return result;
+}
+
+module.exports = {
+    DEFAULT_PATTERNS, reload_patterns, pattern_names, pattern_summaries, get_pattern, evaluate_pattern
+}
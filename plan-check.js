@@ -0,0 +1,70 @@
+/** plan-check.js
+ * Changed the catalog or the plan generator? This command builds a plan for every class of a
+ * catalog that has corequisites (such as MUS-110A, whose corequisite MUS-111A has MUS-110A as
+ * its own corequisite) and reports every class that the generator left unplaced, or placed
+ * before the corequisites it added to the plan.
+ *
+ * Usage:
+ * node plan-check.js [catalog year]
+ * (For example: node plan-check.js 2021_2022)
+ *
+ * @file plan-check.js
+ * @version 10/19/2026
+ */
+
+const catalog = require('./catalog.js');
+const planner = require('./planner.js');
+const validation = require('./validation.js');
+
+// The plan built around every class: six Fall and Spring terms of at most 18 units, starting in Fall 2026
+const PLAN_OPTIONS = {majors: [], universities: [], start: {"SEASON": "Fall", "YEAR": 2026}, semesters: 6, maxUnits: 18};
+
+/**
+ * Build a plan including a class and check that every corequisite group of the class that
+ * is part of the plan has a class placed in the same term or earlier (corequisites left to
+ * placement, such as the ones that aren't transferable, aren't part of the plan).
+ * @param {String} acr
+ * @param {String} year The catalog year
+ * @returns {String} The problem found, or null if there is none
+ */
+function check_class(acr, year) {
+    let plan = planner.generate_plan(Object.assign({}, PLAN_OPTIONS, {year: year, classes: [acr]}));
+    let term = plan["SEMESTERS"].find((semester) => semester["CLASSES"].includes(acr));
+    if (term == undefined) {
+        return acr + ": NOT PLACED IN ANY TERM";
+    }
+    let taken = (semesters, requisite) => semesters.some((semester) =>
+        semester["CLASSES"].some((other) => catalog.are_equivalent(requisite, other, year)));
+    let until = plan["SEMESTERS"].filter((semester) => validation.term_index(semester) <= validation.term_index(term));
+    for (let group of catalog.get_course(acr, year)["COREQUISITES"]) {
+        if (group.some((requisite) => taken(plan["SEMESTERS"], requisite)) && !group.some((requisite) => taken(until, requisite))) {
+            return acr + ": PLACED IN " + term["SEASON"] + " " + term["YEAR"] + " BEFORE " + group.join(" OR ");
+        }
+    }
+    return null;
+}
+
+function main() {
+    let year = catalog.resolve_catalog_year(process.argv[2]);
+    if (year == null) {
+        console.log("Usage: node plan-check.js [catalog year, e.g. 2021_2022]");
+        process.exit(1);
+    }
+    let courses = catalog.get_catalog(year)["CLASSES"].filter((course) => course["COREQUISITES"].length > 0);
+    let problems = courses.map((course) => check_class(course["AREA-ACR"], year)).filter((problem) => problem != null);
+
+    console.log("Checked " + courses.length + " classes with corequisites in the " + year + " catalog.");
+    if (problems.length > 0) {
+        console.log("Found " + problems.length + " problem(s):\n" + problems.join("\n"));
+        process.exit(1);
+    }
+    console.log("Every class was placed with its corequisites.");
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    check_class
+}
@@ -0,0 +1,311 @@
+/**
+ * This file contains the plan generator, which builds a multi-semester schedule for a
+ * student from their majors, universities and GE pattern. The classes of the plan are
+ * chosen first (the classes the student asked for, the major preparation of every
+ * university, then enough classes to complete the GE pattern, then every prerequisite
+ * of those), and are then placed into terms so that every class comes after its
+ * prerequisites (and with its corequisites) without going over the units allowed per term.
+ *
+ * Prerequisites that aren't transferable (such as ENGL-151RW before ENGL-120B) are assumed
+ * to be met by placement rather than added to the plan.
+ *
+ * @file planner.js
+ * @version 10/19/2026
+ */
+
+const catalog = require('./catalog.js');
+const validation = require('./validation.js');
+const patterns = require('./patterns.js');
+const preparation = require('./preparation.js');
+
+// The most areas of a GE pattern the generator tries to fill, as a guard against endless loops
+const MAX_GE_STEPS = 100;
+
+/**
+ * Check whether a class (or a class cross-listed with it) is part of a plan.
+ * @param {Array} plan The ACRs of the plan
+ * @param {String} acr
+ * @param {String} year The catalog year of the plan
+ * @returns {Boolean}
+ */
+function in_plan(plan, acr, year) {
+    return plan.some((other) => catalog.are_equivalent(acr, other, year));
+}
+
+/**
+ * Add a class to a plan along with every prerequisite and corequisite it needs. Every
+ * requisite group uses a class already in the plan if it has one, and otherwise its
+ * first transferable class. A group without a transferable class is left to placement.
+ * @param {Array} plan The ACRs of the plan, added to in place
+ * @param {String} acr
+ * @param {String} year The catalog year of the plan
+ * @param {Array} placement The requisites left to placement, added to in place
+ */
+function add_with_requisites(plan, acr, year, placement) {
+    let course = catalog.get_course(acr, year);
+    if (course == null || in_plan(plan, acr, year)) {
+        return;
+    }
+    plan.push(acr);
+    for (let group of course["PREREQUISITES"].concat(course["COREQUISITES"])) {
+        if (group.some((other) => in_plan(plan, other, year))) {
+            continue;
+        }
+        let transferable = group.find((other) => {
+            let requisite = catalog.get_course(other, year);
+            return requisite != null && requisite["TRANSFERABLE_CSU"];
+        });
+        if (transferable == undefined) {
+            placement.push(...group.filter((other) => !placement.includes(other)));
+            continue;
+        }
+        add_with_requisites(plan, transferable, year, placement);
+    }
+}
+
+/**
+ * Count the classes a class would add to a plan (itself and its missing requisites).
+ * @param {Array} plan The ACRs of the plan
+ * @param {String} acr
+ * @param {String} year The catalog year of the plan
+ * @returns {Number}
+ */
+function added_classes(plan, acr, year) {
+    let trial = plan.slice();
+    add_with_requisites(trial, acr, year, []);
+    return trial.length - plan.length;
+}
+
+/**
+ * Turn the ACRs of a plan into a schedule that the evaluators accept, all in a single term.
+ * @param {Array} plan The ACRs of the plan
+ * @param {String} year The catalog year of the plan
+ * @returns {JSON} A schedule
+ */
+function plan_schedule(plan, year) {
+    return {"CATALOG_YEAR": year, "SEMESTERS": [{"SEASON": "Fall", "YEAR": 0, "CLASSES": plan}]};
+}
+
+/**
+ * Choose the classes that complete the major preparation of every university and major.
+ * Every requirement uses the option adding the fewest classes to the plan.
+ * @param {Array} plan The ACRs of the plan, added to in place
+ * @param {Array} majors
+ * @param {Array} universities
+ * @param {String} year The catalog year of the plan
+ * @param {Array} placement The requisites left to placement, added to in place
+ */
+function choose_preparation(plan, majors, universities, year, placement) {
+    for (let university of universities) {
+        for (let major of majors) {
+            let prep = preparation.get_preparation(university, major, year);
+            if (prep == null) {
+                continue;
+            }
+            for (let requirement of prep["REQUIREMENTS"]) {
+                let cost = (option) => option.reduce((sum, acr) => sum + added_classes(plan, acr, year), 0);
+                let best = requirement["ONE_OF"].slice().sort((a, b) => cost(a) - cost(b))[0];
+                for (let acr of best) {
+                    add_with_requisites(plan, acr, year, placement);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Choose the classes that complete a GE pattern, filling one area (or missing subarea)
+ * at a time with the class that adds the fewest classes to the plan, then has the fewest units.
+ * @param {Array} plan The ACRs of the plan, added to in place
+ * @param {JSON} pattern
+ * @param {String} year The catalog year of the plan
+ * @param {Array} placement The requisites left to placement, added to in place
+ * @returns {Array} The areas that no class could be added for, as {AREA, NAME} objects
+ */
+function choose_ge(plan, pattern, year, placement) {
+    let unmet = [];
+    for (let step = 0; step < MAX_GE_STEPS; step++) {
+        let result = patterns.evaluate_pattern(pattern, plan_schedule(plan, year));
+        let area = result["AREAS"].find((other) => other["STATUS"] != "SATISFIED" && !unmet.some((done) => done["AREA"] == other["AREA"]));
+        if (area == undefined) {
+            break;
+        }
+        let definition = pattern["AREAS"].find((other) => other["AREA"] == area["AREA"]);
+        let subareas = definition["SUBAREAS"] || [definition];
+        let missing = subareas.filter((subarea) => area["MISSING_SUBAREAS"].some((other) => other["AREA"] == subarea["AREA"]));
+        let candidates = [].concat(...(missing.length > 0 ? missing : subareas).map((subarea) => subarea["CLASSES"]))
+            .filter((acr) => catalog.get_course(acr, year) != null && !in_plan(plan, acr, year));
+        if (candidates.length == 0) {
+            unmet.push({"AREA": area["AREA"], "NAME": area["NAME"]});
+            continue;
+        }
+        // Classes of under 3 units rarely meet an area's units, so they come last
+        let units = (acr) => catalog.get_course(acr, year)["UNITS"];
+        let weight = (acr) => units(acr) < 3 ? 100 - units(acr) : units(acr);
+        candidates.sort((a, b) => added_classes(plan, a, year) - added_classes(plan, b, year) || weight(a) - weight(b));
+        add_with_requisites(plan, candidates[0], year, placement);
+    }
+    return unmet;
+}
+
+/**
+ * List the terms of a plan, starting from a term.
+ * @param {JSON} start The first term, as {SEASON, YEAR}
+ * @param {Number} count The number of terms
+ * @param {Boolean} summer Whether to plan Summer terms
+ * @returns {Array} An array of {SEASON, YEAR, CLASSES} objects, earliest first
+ */
+function plan_terms(start, count, summer) {
+    let seasons = validation.SEASON_ORDER.filter((season) => summer || season != "Summer");
+    let terms = [];
+    let index = validation.term_index(start);
+    while (terms.length < count) {
+        let season = validation.SEASON_ORDER[index % validation.SEASON_ORDER.length];
+        if (seasons.includes(season)) {
+            terms.push({"SEASON": season, "YEAR": Math.floor(index / validation.SEASON_ORDER.length), "CLASSES": []});
+        }
+        index++;
+    }
+    return terms;
+}
+
+/**
+ * Place the classes of a plan into terms. Every term takes the classes whose prerequisites
+ * are placed in earlier terms (and corequisites in the same term or earlier), starting with
+ * the classes that the longest chains of other classes depend on. A class whose corequisites
+ * aren't placed yet is placed along with them (such as MUS-110A and MUS-111A, each the
+ * corequisite of the other), as long as the whole group fits into the term.
+ * @param {Array} plan The ACRs of the plan
+ * @param {Array} terms The empty terms (see plan_terms), filled in place
+ * @param {Number} max_units The most units of a term
+ * @param {String} year The catalog year of the plan
+ * @returns {Array} The ACRs that couldn't be placed
+ */
+function place_classes(plan, terms, max_units, year) {
+    // A requisite group is met by a class of the plan placed in time, or by placement if none is in the plan
+    let met = (group, placed) => !group.some((acr) => in_plan(plan, acr, year)) ||
+        group.some((acr) => placed.some((other) => catalog.are_equivalent(acr, other, year)));
+    let requires = (acr, other) => {
+        let course = catalog.get_course(acr, year);
+        return course["PREREQUISITES"].concat(course["COREQUISITES"]).some((group) => group.some((requisite) => catalog.are_equivalent(requisite, other, year)));
+    };
+    let depths = {};
+    let depth = (acr) => {
+        if (depths[acr] == undefined) {
+            depths[acr] = 0;
+            depths[acr] = 1 + Math.max(0, ...plan.filter((other) => other != acr && requires(other, acr)).map(depth));
+        }
+        return depths[acr];
+    };
+    let units = (acr) => catalog.get_course(acr, year)["UNITS"];
+
+    let remaining = plan.slice().sort((a, b) => depth(b) - depth(a) || units(b) - units(a));
+    // A class along with the remaining classes of the plan that its corequisites (and theirs) need in the same term
+    let with_corequisites = (acr, placed) => {
+        let group = [acr];
+        for (let i = 0; i < group.length; i++) {
+            for (let corequisites of catalog.get_course(group[i], year)["COREQUISITES"]) {
+                if (met(corequisites, placed.concat(group))) {
+                    continue;
+                }
+                let partner = remaining.find((other) => !group.includes(other) &&
+                    corequisites.some((requisite) => catalog.are_equivalent(requisite, other, year)));
+                if (partner != undefined) {
+                    group.push(partner);
+                }
+            }
+        }
+        return group;
+    };
+    let earlier = [];
+    for (let term of terms) {
+        // A term never goes over the overload limit of its season (see validation.MAX_TERM_UNITS)
+        let limit = Math.min(max_units, validation.MAX_TERM_UNITS[term["SEASON"]] || max_units);
+        let termUnits = 0;
+        let added = true;
+        while (added) {
+            added = false;
+            for (let acr of remaining) {
+                let group = with_corequisites(acr, earlier.concat(term["CLASSES"]));
+                let groupUnits = group.reduce((sum, other) => sum + units(other), 0);
+                let courses = group.map((other) => catalog.get_course(other, year));
+                if (termUnits + groupUnits > limit ||
+                    !courses.every((course) => course["PREREQUISITES"].every((requisites) => met(requisites, earlier))) ||
+                    !courses.every((course) => course["COREQUISITES"].every((requisites) => met(requisites, earlier.concat(term["CLASSES"], group))))) {
+                    continue;
+                }
+                term["CLASSES"].push(...group);
+                termUnits += groupUnits;
+                remaining = remaining.filter((other) => !group.includes(other));
+                added = true;
+                break;
+            }
+        }
+        earlier.push(...term["CLASSES"]);
+    }
+    return remaining;
+}
+
+/**
+ * Generate a plan of classes for a student.
+ * @param {JSON} options An object of the following structure:
+ * {
+ *      majors: [ARRAY OF STRINGS], universities: [ARRAY OF STRINGS], The majors and universities of major_colleges.json
+ *      start: {SEASON, YEAR}, The first term of the plan
+ *      semesters: [NUMBER], The number of terms to plan
+ *      maxUnits: [NUMBER], The most units of a term
+ *      summer: true / false, (Optional) Whether to plan Summer terms, defaults to false
+ *      year: [STRING], (Optional) The catalog year, defaults to the newest catalog
+ *      pattern: [STRING] (Optional) The GE pattern to complete, defaults to the first of patterns.DEFAULT_PATTERNS
+ *      classes: [ARRAY OF STRINGS] (Optional) ACRs the plan must include (along with their requisites), chosen first
+ * }
+ * @returns {JSON} An object of the following structure:
+ * {
+ *      CATALOG_YEAR: [STRING], PATTERN: [STRING],
+ *      SEMESTERS: [{SEASON, YEAR, CLASSES}], The terms of the plan that have classes, latest first
+ *      UNITS: [NUMBER],
+ *      UNSCHEDULED: [ACR], The classes chosen that didn't fit into the terms
+ *      PLACEMENT: [ACR], The prerequisites assumed to be met by placement
+ *      UNMET_AREAS: [{AREA, NAME}], The GE areas that no class could be added for
+ *      GE_COMPLETE: true / false, Whether the placed classes complete the GE pattern
+ *      PREPARATION: [{UNIVERSITY, MAJOR, AVAILABLE, COMPLETE}] Whether the placed classes complete each major's preparation
+ * }
+ */
+function generate_plan(options) {
+    let year = catalog.resolve_catalog_year(options.year) || catalog.default_catalog_year();
+    let pattern = patterns.get_pattern(options.pattern || patterns.DEFAULT_PATTERNS[0], year);
+    let plan = [];
+    let placement = [];
+
+    for (let acr of options.classes || []) {
+        add_with_requisites(plan, acr, year, placement);
+    }
+    choose_preparation(plan, options.majors, options.universities, year, placement);
+    let unmet = pattern == null ? [] : choose_ge(plan, pattern, year, placement);
+
+    let terms = plan_terms(options.start, options.semesters, options.summer == true);
+    let unscheduled = place_classes(plan, terms, options.maxUnits, year);
+
+    let semesters = terms.filter((term) => term["CLASSES"].length > 0).reverse();
+    let schedule = {"CATALOG_YEAR": year, "MAJORS": options.majors, "UNIVERSITIES": options.universities, "SEMESTERS": semesters};
+    return {
+        "CATALOG_YEAR": year,
+        "PATTERN": pattern == null ? null : pattern["NAME"],
+        "SEMESTERS": semesters,
+        "UNITS": validation.term_units(schedule).reduce((sum, term) => sum + term["UNITS"], 0),
+        "UNSCHEDULED": unscheduled,
+        "PLACEMENT": placement,
+        "UNMET_AREAS": unmet,
+        "GE_COMPLETE": pattern == null ? false : patterns.evaluate_pattern(pattern, schedule)["COMPLETE"],
+        "PREPARATION": preparation.evaluate_preparation(schedule).map((result) => ({
+            "UNIVERSITY": result["UNIVERSITY"],
+            "MAJOR": result["MAJOR"],
+            "AVAILABLE": result["AVAILABLE"],
+            "COMPLETE": result["AVAILABLE"] ? result["COMPLETE"] : false
+        }))
+    };
+}
+
+module.exports = {
+    generate_plan
+}
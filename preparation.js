@@ -0,0 +1,211 @@
+/**
+ * This file contains the major preparation evaluator. Every university campus sets
+ * the lower-division courses a transfer student should finish for each of its majors
+ * before transferring. These are stored in Ohlone course ACRs as YEAR_major_prep.json
+ * files (e.g. 2021_2022_major_prep.json), one for every catalog year, keyed by the
+ * campus and major names of major_colleges.json:
+ * {
+ *      "CATALOG_YEAR": "2021_2022",
+ *      "UNIVERSITIES": {
+ *          "University of California, Davis": {
+ *              "COMPUTER SCIENCE": {
+ *                  "NOTE": [STRING] (Optional),
+ *                  "REQUIREMENTS": [
+ *                      {"NAME": "Calculus I", "ONE_OF": [["MATH-101A"]]},
+ *                      {"NAME": "Programming", "ONE_OF": [["CS-102"], ["CS-142"]]},
+ *                      {"NAME": "Physics", "ONE_OF": [["PHYS-120", "PHYS-121"], ["PHYS-140", "PHYS-141"]]}
+ *                  ]
+ *              }
+ *          }
+ *      }
+ * }
+ * A requirement is met by any one of its options, and an option needs every one of
+ * its classes. A class of a schedule counts towards a single requirement only.
+ *
+ * @file preparation.js
+ * @version 10/19/2026
+ */
+
+const fs = require('fs');
+const path = require('path');
+const catalog = require('./catalog.js');
+
+// The directory holding every major preparation json file
+const PREPARATION_DIR = __dirname;
+// Major preparation files are named after their catalog year, like 2021_2022_major_prep.json
+const PREPARATION_FILE_REGEX = /^(\d{4}_\d{4})_major_prep\.json$/;
+
+// The major preparation in memory, by catalog year (null until first loaded, see reload_preparation)
+let preparation = null;
+
+/**
+ * Load every major preparation file from disk. Replaces the major preparation in memory all at once.
+ * @returns {JSON} An object mapping every catalog year to the number of universities loaded for it
+ */
+function reload_preparation() {
+    let loaded = {};
+    for (let file of fs.readdirSync(PREPARATION_DIR)) {
+        let match = file.match(PREPARATION_FILE_REGEX);
+        if (!match) {
+            continue;
+        }
+        try {
+            loaded[match[1]] = JSON.parse(fs.readFileSync(path.join(PREPARATION_DIR, file)))["UNIVERSITIES"];
+        } catch (error) {
+            console.log("THE MAJOR PREPARATION FILE " + file + " COULD NOT BE PARSED. " + error.message);
+        }
+    }
+    preparation = loaded;
+    let summary = {};
+    for (let year of Object.keys(preparation).sort()) {
+        summary[year] = Object.keys(preparation[year]).length;
+    }
+    return summary;
+}
+
+/**
+ * Get the major preparation of every university for a catalog year. A catalog year without
+ * its own file uses the newest file from an earlier catalog year (or the oldest file if there is none).
+ * @param {String} year A catalog year (e.g. "2021_2022")
+ * @returns {JSON} An object mapping every university to its majors' preparation
+ */
+function get_universities(year) {
+    if (preparation == null) {
+        reload_preparation();
+    }
+    let years = Object.keys(preparation).sort();
+    if (years.length == 0) {
+        return {};
+    }
+    let earlier = years.filter((other) => other <= year);
+    return preparation[earlier.length > 0 ? earlier[earlier.length - 1] : years[0]];
+}
+
+/**
+ * List the majors that have preparation on file for every university of a catalog year.
+ * @param {String} year A catalog year (e.g. "2021_2022")
+ * @returns {JSON} An object mapping every university to an array of majors
+ */
+function preparation_summary(year) {
+    let universities = get_universities(year);
+    let summary = {};
+    for (let university of Object.keys(universities)) {
+        summary[university] = Object.keys(universities[university]);
+    }
+    return summary;
+}
+
+/**
+ * Get the preparation for a major at a university.
+ * @param {String} university A university of major_colleges.json (e.g. "San Jose State University")
+ * @param {String} major A major of major_colleges.json (e.g. "COMPUTER SCIENCE")
+ * @param {String} year A catalog year (e.g. "2021_2022")
+ * @returns {JSON} The major's {NOTE, REQUIREMENTS}, or null if none is on file
+ */
+function get_preparation(university, major, year) {
+    let majors = get_universities(year)[university];
+    return majors == undefined || majors[major] == undefined ? null : majors[major];
+}
+
+/**
+ * Evaluate a schedule against the preparation for a single major. Every requirement
+ * uses its option with the fewest classes missing from the schedule (the first listed on a tie).
+ * @param {JSON} prep The preparation (see get_preparation)
+ * @param {JSON} schedule
+ * @returns {JSON} An object of the following structure:
+ * {
+ *      COMPLETE: true / false,
+ *      COUNTS: {PLANNED: [NUMBER], PARTIAL: [NUMBER], MISSING: [NUMBER]},
+ *      REQUIREMENTS: [{
+ *          NAME,
+ *          STATUS: "PLANNED" / "PARTIAL" / "MISSING",
+ *          PLANNED: [ACR], The classes of the schedule counted towards the requirement
+ *          MISSING: [ACR], The classes still needed for the closest option
+ *          OPTIONS: [[ACR]] Every option of the requirement
+ *      }]
+ * }
+ */
+function evaluate_major(prep, schedule) {
+    let year = catalog.schedule_catalog_year(schedule);
+
+    // Every class of the schedule, counting cross-listed classes once
+    let available = [];
+    for (let semester of schedule["SEMESTERS"]) {
+        for (let acr of semester["CLASSES"]) {
+            if (!available.some((other) => catalog.are_equivalent(acr, other, year))) {
+                available.push(acr);
+            }
+        }
+    }
+
+    let result = {"COMPLETE": true, "COUNTS": {"PLANNED": 0, "PARTIAL": 0, "MISSING": 0}, "REQUIREMENTS": []};
+    for (let requirement of prep["REQUIREMENTS"]) {
+        let best = null;
+        for (let option of requirement["ONE_OF"]) {
+            let planned = [];
+            let missing = [];
+            for (let acr of option) {
+                let match = available.find((other) => catalog.get_cross_listing(other, year).includes(acr));
+                if (match == undefined) {
+                    missing.push(acr);
+                } else {
+                    planned.push(match);
+                }
+            }
+            if (best == null || missing.length < best["missing"].length) {
+                best = {"planned": planned, "missing": missing};
+            }
+        }
+
+        let status = "PARTIAL";
+        if (best["missing"].length == 0) {
+            status = "PLANNED";
+            available = available.filter((acr) => !best["planned"].includes(acr));
+        } else if (best["planned"].length == 0) {
+            status = "MISSING";
+        }
+        result["COUNTS"][status]++;
+        result["COMPLETE"] = result["COMPLETE"] && status == "PLANNED";
+        result["REQUIREMENTS"].push({
+            "NAME": requirement["NAME"],
+            "STATUS": status,
+            "PLANNED": best["planned"],
+            "MISSING": best["missing"],
+            "OPTIONS": requirement["ONE_OF"]
+        });
+    }
+    return result;
+}
+
+/**
+ * Evaluate a schedule against the preparation for each of its MAJORS at each of its UNIVERSITIES.
+ * @param {JSON} schedule
+ * @param {Array} universities (Optional) The universities to evaluate, defaults to the schedule's UNIVERSITIES
+ * @returns {Array} An array with an object for every university and major, of the following structure:
+ * {
+ *      UNIVERSITY: [STRING], MAJOR: [STRING],
+ *      AVAILABLE: true / false, (false if no preparation is on file, in which case nothing else is set)
+ *      NOTE: [STRING],
+ *      COMPLETE, COUNTS, REQUIREMENTS (see evaluate_major)
+ * }
+ */
+function evaluate_preparation(schedule, universities = schedule["UNIVERSITIES"] || []) {
+    let year = catalog.schedule_catalog_year(schedule);
+    let results = [];
+    for (let university of universities) {
+        for (let major of schedule["MAJORS"] || []) {
+            let prep = get_preparation(university, major, year);
+            if (prep == null) {
+                results.push({"UNIVERSITY": university, "MAJOR": major, "AVAILABLE": false});
+                continue;
+            }
+            results.push(Object.assign({"UNIVERSITY": university, "MAJOR": major, "AVAILABLE": true, "NOTE": prep["NOTE"] || null},
+                evaluate_major(prep, schedule)));
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    reload_preparation, get_universities, preparation_summary, get_preparation, evaluate_major, evaluate_preparation
+}
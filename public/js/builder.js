@@ -61,16 +61,36 @@ class CatalogManager {
             return true;
         }
 
-        // Fetch the schedule matching the name from the server
-        CatalogManager.currentSchedule = await makeRequest('/fetch-schedule', {"name": CatalogManager.scheduleName});
+        // Fetch the schedule matching the name (and the details of its classes) from the server
+        CatalogManager.currentSchedule = await makeRequest('/fetch-schedule', {"name": CatalogManager.scheduleName, details: true});
     }
 
     /**
      * Clear the current display, then populate the semesters and their respective
-     * classes based on the currentSchedule.
+     * classes based on the currentSchedule (and the class details embedded in it).
      */
     static async updateDisplay() {
-        CatalogManager.scheduleDiv.innerHTML = "<h4 id=\"schedule-title\">Schedule</h4>";
+        CatalogManager.scheduleDiv.innerHTML = "";
+        let title = document.createElement("h4");
+        title.id = "schedule-title";
+        title.textContent = "Schedule: " + CatalogManager.currentSchedule["NAME"];
+        let rename = document.createElement("a");
+        rename.id = "schedule-rename";
+        rename.textContent = "Rename";
+        rename.addEventListener("click", (evt) => {
+            evt.preventDefault();
+            CatalogManager.rename();
+        });
+        title.appendChild(rename);
+        let shift = document.createElement("a");
+        shift.id = "schedule-shift";
+        shift.textContent = "Shift one term later";
+        shift.addEventListener("click", (evt) => {
+            evt.preventDefault();
+            CatalogManager.shiftLater();
+        });
+        title.appendChild(shift);
+        CatalogManager.scheduleDiv.appendChild(title);
         for (let semester of CatalogManager.currentSchedule["SEMESTERS"]) {
             let semesterDiv = document.createElement("div");
             semesterDiv.classList.add("semester");
@@ -81,18 +101,41 @@ class CatalogManager {
             let semesterHeader = document.createElement("h3");
             semesterHeader.textContent = semester["SEASON"] + " " + semester["YEAR"];
             semesterTitle.appendChild(semesterHeader);
+            let clear = document.createElement("a");
+            clear.classList.add("semester-clear");
+            clear.textContent = "Clear";
+            clear.addEventListener("click", (evt) => {
+                evt.preventDefault();
+                if (confirm("Remove every class of " + semester["SEASON"] + " " + semester["YEAR"] + "?")) {
+                    CatalogManager.clearSemester(semester);
+                }
+            });
+            semesterTitle.appendChild(clear);
             semesterDiv.appendChild(semesterTitle);
             
-            // Add classes
+            // Add classes, which can be dragged (by their id) to the classes of another semester
             let semesterClasses = document.createElement("div");
             semesterClasses.classList.add("semester-classes");
-            for (let course of semester["CLASSES"]) {
-                let classInfo = await makeRequest('/query-data', {query: "CLASS", acr: course});
-                if (classInfo == null) {
-                    continue;
+            semesterClasses.addEventListener("dragover", (evt) => evt.preventDefault());
+            semesterClasses.addEventListener("drop", (evt) => {
+                evt.preventDefault();
+                let classDiv = document.getElementById(evt.dataTransfer.getData("id"));
+                if (classDiv == null || classDiv.parentNode == semesterClasses) {
+                    return;
                 }
+                semesterClasses.appendChild(classDiv);
+                CatalogManager.moveClass(classDiv.dataset.acr, classDiv.dataset.season, classDiv.dataset.year, semester["SEASON"], semester["YEAR"]);
+            });
+            semester["CLASSES"].forEach((course, index) => {
+                let classInfo = CatalogManager.currentSchedule["COURSES"][course];
                 let classDiv = document.createElement("div");
                 classDiv.classList.add("semester-class");
+                classDiv.id = "class-" + semester["SEASON"] + "-" + semester["YEAR"] + "-" + index;
+                classDiv.dataset.acr = course;
+                classDiv.dataset.season = semester["SEASON"];
+                classDiv.dataset.year = semester["YEAR"];
+                classDiv.draggable = true;
+                classDiv.addEventListener("dragstart", (evt) => evt.dataTransfer.setData("id", classDiv.id));
 
                 let minusSign = document.createElement("a");
                 minusSign.textContent = "-";
@@ -102,6 +145,12 @@ class CatalogManager {
                 });
                 classDiv.append(minusSign);
 
+                // A class removed from the schedule's catalog year is kept, with a warning
+                if (classInfo == null) {
+                    classDiv.classList.add("missing-class");
+                    classInfo = {"AREA-ACR": course, "NAME": "No longer in the catalog", "UNITS": "?"};
+                }
+
                 let properties = ["AREA-ACR", "NAME", "UNITS"];
 
                 for (let property of properties) {
@@ -109,8 +158,20 @@ class CatalogManager {
                     paragraph.textContent = classInfo[property];
                     classDiv.appendChild(paragraph);
                 }
+
+                // Show the warnings for this class (such as missing prerequisites) on its card
+                for (let warning of CatalogManager.currentSchedule["WARNINGS"] || []) {
+                    if (warning["acr"] != course || warning["season"] != semester["SEASON"] || warning["year"] != semester["YEAR"]) {
+                        continue;
+                    }
+                    classDiv.classList.add("warning-class");
+                    let paragraph = document.createElement("p");
+                    paragraph.classList.add("class-warning");
+                    paragraph.textContent = "⚠ " + warning["message"];
+                    classDiv.appendChild(paragraph);
+                }
                 semesterClasses.append(classDiv);
-            }
+            });
 
             semesterDiv.appendChild(semesterClasses);
             CatalogManager.scheduleDiv.appendChild(semesterDiv);
@@ -124,15 +185,15 @@ class CatalogManager {
      * @param {String} year 
      */
     static async addClass(acr, season, year) {
-        await makeRequest('/edit-schedule', {
+        let schedule = await makeRequest('/edit-schedule', {
             type: "ADD",
             name: CatalogManager.scheduleName,
             acr: acr,
             season: season,
-            year: year
+            year: year,
+            details: true
         });
-        await CatalogManager.updateSchedule();
-        await CatalogManager.updateDisplay();
+        await CatalogManager.applyEdit(schedule);
     }
 
     /**
@@ -142,28 +203,159 @@ class CatalogManager {
      * @param {String} year 
      */
      static async removeClass(acr, season, year) {
-        await makeRequest('/edit-schedule', {
+        let schedule = await makeRequest('/edit-schedule', {
             type: "REMOVE",
             name: CatalogManager.scheduleName,
             acr: acr,
             season: season,
-            year: year
+            year: year,
+            details: true
+        });
+        await CatalogManager.applyEdit(schedule);
+    }
+
+    /**
+     * Ask the user for a new name for the schedule and rename it. The page keeps its URL,
+     * since the schedule is still found by the name it was opened with.
+     */
+    static async rename() {
+        let newName = prompt("Rename " + CatalogManager.currentSchedule["NAME"] + " to:", CatalogManager.currentSchedule["NAME"]);
+        if (newName == null) {
+            return;
+        }
+        let response = await makeRequest('/rename-schedule', {name: CatalogManager.scheduleName, newName: newName});
+        if (response["info"] != "SUCCESS") {
+            alert("The schedule could not be renamed: " + response["info"].toLowerCase());
+            return;
+        }
+        await CatalogManager.applyEdit(null);
+    }
+
+    /**
+     * Undo the last applied edit of the schedule.
+     */
+    static async undo() {
+        let schedule = await makeRequest('/undo-edit', {name: CatalogManager.scheduleName, details: true});
+        await CatalogManager.applyEdit(schedule);
+    }
+
+    /**
+     * Redo the last undone edit of the schedule.
+     */
+    static async redo() {
+        let schedule = await makeRequest('/redo-edit', {name: CatalogManager.scheduleName, details: true});
+        await CatalogManager.applyEdit(schedule);
+    }
+
+    /**
+     * Restore the schedule to a point of its edit history.
+     * @param {Number} point The number of edits applied (0 for the schedule before any edit)
+     */
+    static async restore(point) {
+        let schedule = await makeRequest('/restore-schedule', {name: CatalogManager.scheduleName, point: point, details: true});
+        await CatalogManager.applyEdit(schedule);
+    }
+
+    /**
+     * Move a class of the schedule to another term in one edit.
+     * @param {String} acr 
+     * @param {String} season The term the class is in
+     * @param {String} year 
+     * @param {String} toSeason The term to move the class to
+     * @param {String} toYear 
+     */
+    static async moveClass(acr, season, year, toSeason, toYear) {
+        let schedule = await makeRequest('/edit-schedule', {
+            type: "MOVE",
+            name: CatalogManager.scheduleName,
+            acr: acr,
+            season: season,
+            year: year,
+            toSeason: toSeason,
+            toYear: toYear,
+            details: true
+        });
+        await CatalogManager.applyEdit(schedule);
+    }
+
+    /**
+     * Apply several edits to the schedule at once: all of them land or none do.
+     * @param {Array} operations An array of {type, acr, season, year, toSeason, toYear} objects
+     */
+    static async batchEdit(operations) {
+        let schedule = await makeRequest('/edit-schedule', {
+            name: CatalogManager.scheduleName,
+            operations: operations,
+            details: true
         });
-        await CatalogManager.updateSchedule();
+        if (schedule["SEMESTERS"] == undefined && schedule["info"] != undefined) {
+            alert("The schedule could not be edited: " + schedule["info"].toLowerCase());
+        }
+        await CatalogManager.applyEdit(schedule);
+    }
+
+    /**
+     * Remove every class of a semester in one edit.
+     * @param {JSON} semester A semester of the currentSchedule
+     */
+    static async clearSemester(semester) {
+        await CatalogManager.batchEdit(semester["CLASSES"].map((acr) => ({
+            type: "REMOVE", acr: acr, season: semester["SEASON"], year: semester["YEAR"]
+        })));
+    }
+
+    /**
+     * Move every class of the schedule one term later in one edit: Spring to Fall, Fall to the next
+     * Spring and Summer to the next Summer. The latest terms are moved first, so that no class is moved twice.
+     */
+    static async shiftLater() {
+        let next = {"Spring": (year) => ["Fall", year], "Fall": (year) => ["Spring", year + 1], "Summer": (year) => ["Summer", year + 1]};
+        let operations = [];
+        for (let semester of CatalogManager.currentSchedule["SEMESTERS"]) {
+            let [toSeason, toYear] = next[semester["SEASON"]](Number(semester["YEAR"]));
+            for (let acr of semester["CLASSES"]) {
+                operations.push({type: "MOVE", acr: acr, season: semester["SEASON"], year: semester["YEAR"], toSeason: toSeason, toYear: toYear});
+            }
+        }
+        if (operations.length > 0) {
+            await CatalogManager.batchEdit(operations);
+        }
+    }
+
+    /**
+     * Use the schedule sent back by an edit as the currentSchedule and redraw it.
+     * If the edit didn't send back a schedule, fetch it from the server instead.
+     * @param {JSON} schedule The response of /edit-schedule
+     */
+    static async applyEdit(schedule) {
+        if (schedule != null && schedule["SEMESTERS"] != undefined) {
+            CatalogManager.currentSchedule = schedule;
+            // Warnings about the edit itself are shown right away, the rest are shown on the class cards
+            let warnings = (schedule["WARNINGS"] || []).filter((warning) => warning["type"] == "CROSS_LISTED");
+            if (warnings.length > 0) {
+                alert(warnings.map((warning) => warning["message"]).join("\n"));
+            }
+        } else {
+            await CatalogManager.updateSchedule();
+        }
         await CatalogManager.updateDisplay();
+        updateHistory();
+        // Every tool fills its own panel, so they are refreshed side by side
+        await Promise.all([updateChecklist(), updateDegreeAudit(), updatePreparation(), updateAnalytics(), updateComparison()]);
     }
 }
 
 /**
- * Initialize the Departments dropdown with all of the departments in the current server's
- * catalog.
+ * Initialize the Departments dropdown with all of the departments in the catalog
+ * the current schedule was built against.
  */
 async function initializeDepartments() {
-    let departments = await makeRequest('query-data', {query: "AREAS"});
+    let departments = await makeRequest('query-data', {query: "AREAS", year: CatalogManager.currentSchedule["CATALOG_YEAR"]});
     // Grab the department dropdown on the page
     let dropdown = document.getElementById("department");
-    // Clear the dropdown's current children
-    dropdown.innerHTML = "";
+    // Clear the dropdown's current children, leaving an option to filter every department
+    dropdown.innerHTML = "<option value=\"00\">All departments</option>";
+    dropdown.options[0].areaACR = "";
     // Fill all options
     let index = 1;
     for (let department of departments) {
@@ -178,35 +370,98 @@ async function initializeDepartments() {
         dropdown.appendChild(newOption);
         index++;
     }
+    // Start on the first department rather than the entire catalog
+    dropdown.selectedIndex = Math.min(1, dropdown.options.length - 1);
 }
 
 /**
- * Setup the user selection of the department dropdown to configure the 
- * classes that show in the course selection.
+ * Initialize the Division filter with all of the divisions in the catalog
+ * the current schedule was built against.
+ */
+async function initializeDivisions() {
+    let divisions = await makeRequest('query-data', {query: "DIVISIONS", year: CatalogManager.currentSchedule["CATALOG_YEAR"]});
+    let dropdown = document.getElementById("division-filter");
+    for (let division of divisions) {
+        let newOption = document.createElement("option");
+        newOption.value = Object.keys(division)[0];
+        newOption.text = Object.keys(division)[0];
+        dropdown.appendChild(newOption);
+    }
+}
+
+/**
+ * Setup the user selection of the department dropdown and the catalog filters
+ * to configure the classes that show in the course selection.
  */
 function setupDepartmentSelect() {
-    // Grab the department dropdown on the page
-    let dropdown = document.getElementById("department");
-    let options = dropdown.getElementsByTagName("option");
-    dropdown.addEventListener("change", (evt) => {
-        let acr = options[Number(dropdown.value) - 1].areaACR;
-        displayClasses(acr);
-    });
+    // Grab the department dropdown and the filters on the page
+    let controls = ["department", "division-filter", "min-units-filter", "max-units-filter",
+        "csu-filter", "uc-filter", "prerequisites-filter"];
+    for (let id of controls) {
+        document.getElementById(id).addEventListener("change", (evt) => {
+            displayClasses();
+        });
+    }
 }
 
 /**
- * Display all classes of a specific acronym (like all Math classes) in
- * the menu classes table.
+ * Read the catalog filters on the page into the facets of a CLASSES query.
+ * Filters that are left empty or unchecked are left out.
+ * @returns {JSON} The facets (see the query-data route)
+ */
+function readFilters() {
+    let filters = {
+        acr: document.getElementById("department").selectedOptions[0].areaACR,
+        division: document.getElementById("division-filter").value,
+        minUnits: document.getElementById("min-units-filter").value,
+        maxUnits: document.getElementById("max-units-filter").value,
+        prerequisites: document.getElementById("prerequisites-filter").value
+    };
+    if (filters.prerequisites != "") {
+        filters.prerequisites = filters.prerequisites == "true";
+    }
+    if (document.getElementById("csu-filter").checked) {
+        filters.csu = true;
+    }
+    if (document.getElementById("uc-filter").checked) {
+        filters.uc = true;
+    }
+    return filters;
+}
+
+/**
+ * Display all classes matching the selected department (like all Math classes)
+ * and catalog filters in the menu classes table.
+ */
+async function displayClasses() {
+    // Fetch classes matching the department and filters
+    let body = Object.assign({query: "CLASSES", year: CatalogManager.currentSchedule["CATALOG_YEAR"]}, readFilters());
+    let classes = await makeRequest('query-data', body);
+    displayClassTable(classes);
+}
+
+/**
+ * Display the classes that best match the user's search terms in
+ * the menu classes table, best match first.
  * 
- * @param {String} acr The acronym to show "MATH", "PHYS", "BIOL", etc.
+ * @param {String} query The search terms, like "statistics" or "intro to programming"
  */
-async function displayClasses(acr) {
+async function displaySearchResults(query) {
+    let classes = await makeRequest('/search-courses', {query, year: CatalogManager.currentSchedule["CATALOG_YEAR"]});
+    displayClassTable(classes);
+}
+
+/**
+ * Fill the menu classes table with the provided classes, each with a
+ * button to add it to the schedule.
+ * 
+ * @param {Array} classes An array of CLASS objects
+ */
+function displayClassTable(classes) {
     // Get table on the table
     let table = document.getElementById("catalog-classes-table");
     // Clear the table
     table.innerHTML = "<p>Courses</p><p>Title</p><p>Units</p><p></p>"
-    // Fetch classes matching acr
-    let classes = await makeRequest('query-data', {query: "CLASSES", acr});
     // For every course, add it to the table.
     for (let course of classes) {
         let displayMe = [course["AREA-ACR"], course["NAME"], course["UNITS"]];
@@ -228,6 +483,26 @@ async function displayClasses(acr) {
     }
 }
 
+/**
+ * Setup the course search box to display the matching classes when the user
+ * presses the search button or hits enter.
+ */
+function setupCourseSearch() {
+    let input = document.getElementById("course-search");
+    let button = document.getElementById("course-search-button");
+    button.addEventListener("click", (evt) => {
+        evt.preventDefault();
+        if (input.value.trim() != "") {
+            displaySearchResults(input.value);
+        }
+    });
+    input.addEventListener("keyup", (evt) => {
+        if (evt.key == "Enter") {
+            button.dispatchEvent(new Event("click"));
+        }
+    });
+}
+
 /**
  * Check the sign in status of the user and change the display of elements
  * on the screen if they are not signed in.
@@ -275,6 +550,524 @@ function initializeToolsMenu(buttonIDS, divIDS) {
     }
 }
 
+// The symbol shown next to an area of the checklist for each status
+const CHECKLIST_SYMBOLS = {"SATISFIED": "✔", "PARTIAL": "◐", "MISSING": "✘"};
+
+/**
+ * Initialize the GE tool with a checkbox for every GE pattern available for the
+ * schedule's catalog year, checking the patterns picked when the schedule was created.
+ * Checking or unchecking a pattern updates the checklists shown side by side.
+ */
+async function initializeChecklist() {
+    let patterns = await makeRequest('query-data', {query: "PATTERNS", year: CatalogManager.currentSchedule["CATALOG_YEAR"]});
+    let formDIV = document.getElementById("ge-pattern-select");
+    formDIV.innerHTML = "";
+    for (let pattern of patterns) {
+        let newLabel = document.createElement("label");
+        let newCheckbox = document.createElement("input");
+        newCheckbox.type = "checkbox";
+        newCheckbox.value = pattern["NAME"];
+        newCheckbox.checked = (CatalogManager.currentSchedule["GE_PATTERNS"] || []).includes(pattern["NAME"]);
+        newCheckbox.addEventListener("change", updateChecklist);
+        newLabel.title = pattern["FULL_NAME"];
+        newLabel.appendChild(newCheckbox);
+        newLabel.append(" " + pattern["NAME"]);
+        formDIV.appendChild(newLabel);
+    }
+    await updateChecklist();
+}
+
+/**
+ * Evaluate the current schedule against every checked GE pattern and display
+ * the results side by side, as a checklist of each pattern's areas.
+ */
+async function updateChecklist() {
+    let names = [];
+    for (let checkbox of document.getElementById("ge-pattern-select").getElementsByTagName("input")) {
+        if (checkbox.checked) {
+            names.push(checkbox.value);
+        }
+    }
+    let results = await makeRequest('/evaluate-pattern', {name: CatalogManager.scheduleName, patterns: names});
+    let resultsDiv = document.getElementById("ge-results");
+    resultsDiv.innerHTML = "";
+    if (!Array.isArray(results)) {
+        resultsDiv.textContent = "The GE checklists could not be loaded.";
+        return;
+    }
+    if (results.length == 0) {
+        resultsDiv.textContent = "Check a GE pattern above to see its checklist.";
+        return;
+    }
+
+    for (let result of results) {
+        let patternDiv = document.createElement("div");
+        patternDiv.classList.add("ge-pattern");
+
+        let title = document.createElement("h4");
+        title.textContent = result["PATTERN"];
+        title.title = result["FULL_NAME"];
+        patternDiv.appendChild(title);
+
+        let summary = document.createElement("p");
+        summary.textContent = result["COMPLETE"] ? "Complete!" :
+            result["COUNTS"]["SATISFIED"] + " of " + result["AREAS"].length + " areas satisfied";
+        patternDiv.appendChild(summary);
+
+        for (let area of result["AREAS"]) {
+            let areaDiv = document.createElement("div");
+            areaDiv.classList.add("checklist-area", "checklist-" + area["STATUS"]);
+
+            let status = document.createElement("p");
+            status.classList.add("checklist-status");
+            status.textContent = CHECKLIST_SYMBOLS[area["STATUS"]];
+            areaDiv.appendChild(status);
+
+            let lines = [
+                area["AREA"] + ": " + area["NAME"],
+                area["COURSES"][0] + "/" + area["COURSES"][1] + " courses, " + area["UNITS"][0] + "/" + area["UNITS"][1] + " units",
+                area["CLASSES"].length > 0 ? "Counted: " + area["CLASSES"].join(", ") : "No classes yet"
+            ];
+            if (area["MISSING_SUBAREAS"].length > 0) {
+                lines.push("Still needs: " + area["MISSING_SUBAREAS"].map((subarea) => subarea["AREA"] + " " + subarea["NAME"]).join(", "));
+            }
+            for (let line of lines) {
+                let paragraph = document.createElement("p");
+                paragraph.textContent = line;
+                areaDiv.appendChild(paragraph);
+            }
+            if (area["NOTE"] != null) {
+                let note = document.createElement("p");
+                note.classList.add("checklist-note");
+                note.textContent = area["NOTE"];
+                areaDiv.appendChild(note);
+            }
+            patternDiv.appendChild(areaDiv);
+        }
+        resultsDiv.appendChild(patternDiv);
+    }
+}
+
+// The symbol shown next to a requirement of the degree audit for each status
+const AUDIT_SYMBOLS = {"COMPLETED": "✔", "PLANNED": "◷", "MISSING": "✘"};
+
+/**
+ * Initialize the degree audit tool with every degree of the schedule's catalog year,
+ * listing (and selecting) the degrees suggested for the schedule's majors first.
+ */
+async function initializeDegreeAudit() {
+    let year = CatalogManager.currentSchedule["CATALOG_YEAR"];
+    let suggested = await makeRequest('query-data', {query: "DEGREES", year: year, majors: CatalogManager.currentSchedule["MAJORS"] || []});
+    let degrees = await makeRequest('query-data', {query: "DEGREES", year: year});
+    let select = document.getElementById("degree-select");
+    select.innerHTML = "";
+    let groups = [
+        ["Suggested for your majors", suggested],
+        ["All degrees", degrees.filter((degree) => !suggested.some((other) => other["ID"] == degree["ID"]))]
+    ];
+    for (let [label, list] of groups) {
+        if (list.length == 0) {
+            continue;
+        }
+        let group = document.createElement("optgroup");
+        group.label = label;
+        for (let degree of list) {
+            let option = document.createElement("option");
+            option.value = degree["ID"];
+            option.textContent = degree["NAME"] + " " + degree["TYPE"];
+            group.appendChild(option);
+        }
+        select.appendChild(group);
+    }
+    select.addEventListener("change", updateDegreeAudit);
+    await updateDegreeAudit();
+}
+
+/**
+ * Audit the current schedule against the selected degree and display every
+ * requirement as completed, planned or missing.
+ */
+async function updateDegreeAudit() {
+    let resultsDiv = document.getElementById("degree-results");
+    let degree = document.getElementById("degree-select").value;
+    if (degree == "") {
+        resultsDiv.textContent = "No degrees are available for this catalog year.";
+        return;
+    }
+    let result = await makeRequest('/degree-audit', {name: CatalogManager.scheduleName, degree: degree});
+    resultsDiv.innerHTML = "";
+    if (result["REQUIREMENTS"] == undefined) {
+        resultsDiv.textContent = "The degree audit could not be loaded.";
+        return;
+    }
+
+    let summary = document.createElement("p");
+    summary.textContent = {
+        "COMPLETED": "Every requirement is completed!",
+        "PLANNED": "Every requirement is completed or planned.",
+        "MISSING": "Some requirements are still missing from this schedule."
+    }[result["STATUS"]];
+    resultsDiv.appendChild(summary);
+
+    let rows = result["REQUIREMENTS"].map((requirement) => {
+        let lines = [
+            requirement["NAME"] + (requirement["TYPE"] == "CHOOSE" ? " (choose " + requirement["COURSES"][1] + ")" : ""),
+            requirement["COURSES"][0] + "/" + requirement["COURSES"][1] + " courses, " + requirement["UNITS"][0] + "/" + requirement["UNITS"][1] + " units"
+        ];
+        if (requirement["COMPLETED"].length > 0) {
+            lines.push("Completed: " + requirement["COMPLETED"].join(", "));
+        }
+        if (requirement["PLANNED"].length > 0) {
+            lines.push("Planned: " + requirement["PLANNED"].join(", "));
+        }
+        if (requirement["MISSING"].length > 0) {
+            lines.push((requirement["TYPE"] == "CHOOSE" ? "Choose from: " : "Missing: ") + requirement["MISSING"].join(", "));
+        }
+        return [requirement["STATUS"], lines];
+    });
+    let units = result["UNITS"];
+    rows.push([units["STATUS"], [
+        "Total " + (units["TRANSFERABLE"] ? "CSU transferable " : "") + "units",
+        units["COMPLETED"] + " completed, " + units["PLANNED"] + " planned of " + units["REQUIRED"]
+    ]]);
+    if (result["GE"] != null) {
+        let lines = ["General education (" + result["GE"]["PATTERN"] + ")"];
+        if (result["GE"]["MISSING_AREAS"].length > 0) {
+            lines.push("Still needs: " + result["GE"]["MISSING_AREAS"].map((area) => area["AREA"] + " " + area["NAME"]).join(", "));
+        }
+        rows.push([result["GE"]["STATUS"], lines]);
+    }
+
+    for (let [status, lines] of rows) {
+        let requirementDiv = document.createElement("div");
+        requirementDiv.classList.add("checklist-area", "checklist-" + status);
+        let symbol = document.createElement("p");
+        symbol.classList.add("checklist-status");
+        symbol.textContent = AUDIT_SYMBOLS[status];
+        requirementDiv.appendChild(symbol);
+        for (let line of lines) {
+            let paragraph = document.createElement("p");
+            paragraph.textContent = line;
+            requirementDiv.appendChild(paragraph);
+        }
+        resultsDiv.appendChild(requirementDiv);
+    }
+}
+
+// The symbol shown next to a prep requirement for each status
+const PREP_SYMBOLS = {"PLANNED": "✔", "PARTIAL": "◐", "MISSING": "✘"};
+
+/**
+ * Evaluate the current schedule against the major preparation of each of its universities
+ * and display a checklist for every university and major side by side.
+ */
+async function updatePreparation() {
+    let results = await makeRequest('/evaluate-preparation', {name: CatalogManager.scheduleName});
+    let resultsDiv = document.getElementById("prep-results");
+    resultsDiv.innerHTML = "";
+    if (!Array.isArray(results)) {
+        resultsDiv.textContent = "The major preparation could not be loaded.";
+        return;
+    }
+    if (results.length == 0) {
+        resultsDiv.textContent = "This schedule has no majors or universities to prepare for.";
+        return;
+    }
+
+    for (let result of results) {
+        let majorDiv = document.createElement("div");
+        majorDiv.classList.add("prep-major");
+
+        let title = document.createElement("h4");
+        title.textContent = result["UNIVERSITY"] + ": " + result["MAJOR"];
+        majorDiv.appendChild(title);
+
+        let summary = document.createElement("p");
+        if (!result["AVAILABLE"]) {
+            summary.textContent = "No major preparation is on file for this major yet.";
+        } else {
+            summary.textContent = result["COMPLETE"] ? "Every prep course is planned!" :
+                result["COUNTS"]["PLANNED"] + " of " + result["REQUIREMENTS"].length + " prep requirements planned";
+        }
+        majorDiv.appendChild(summary);
+        if (result["NOTE"]) {
+            let note = document.createElement("p");
+            note.classList.add("checklist-note");
+            note.textContent = result["NOTE"];
+            majorDiv.appendChild(note);
+        }
+
+        for (let requirement of result["REQUIREMENTS"] || []) {
+            let requirementDiv = document.createElement("div");
+            requirementDiv.classList.add("checklist-area", "checklist-" + requirement["STATUS"]);
+
+            let status = document.createElement("p");
+            status.classList.add("checklist-status");
+            status.textContent = PREP_SYMBOLS[requirement["STATUS"]];
+            requirementDiv.appendChild(status);
+
+            let lines = [requirement["NAME"]];
+            if (requirement["PLANNED"].length > 0) {
+                lines.push("Planned: " + requirement["PLANNED"].join(", "));
+            }
+            if (requirement["MISSING"].length > 0) {
+                lines.push("Missing: " + requirement["MISSING"].join(", "));
+            }
+            if (requirement["STATUS"] != "PLANNED" && requirement["OPTIONS"].length > 1) {
+                lines.push("One of: " + requirement["OPTIONS"].map((option) => option.join(" + ")).join(" or "));
+            }
+            for (let line of lines) {
+                let paragraph = document.createElement("p");
+                paragraph.textContent = line;
+                requirementDiv.appendChild(paragraph);
+            }
+            majorDiv.appendChild(requirementDiv);
+        }
+        resultsDiv.appendChild(majorDiv);
+    }
+}
+
+/**
+ * Fill a grid div with a header row followed by a row for every entry.
+ * @param {String} gridID The ID of the grid div
+ * @param {Array} header The text of every header cell
+ * @param {Array} rows An array of rows, each an array of cell text
+ */
+function fillGrid(gridID, header, rows) {
+    let grid = document.getElementById(gridID);
+    grid.innerHTML = "";
+    for (let row of [header].concat(rows)) {
+        for (let cell of row) {
+            let paragraph = document.createElement("p");
+            paragraph.textContent = cell;
+            grid.appendChild(paragraph);
+        }
+    }
+}
+
+/**
+ * Fetch the transfer readiness figures of the current schedule and display them
+ * in the analytics tool.
+ */
+async function updateAnalytics() {
+    let result = await makeRequest('/schedule-analytics', {name: CatalogManager.scheduleName});
+    let summaryDiv = document.getElementById("analytics-summary");
+    summaryDiv.innerHTML = "";
+    if (result["UNITS"] == undefined) {
+        summaryDiv.textContent = "The analytics could not be loaded.";
+        return;
+    }
+
+    let lines = [
+        "Total units: " + result["UNITS"]["TOTAL"],
+        "UC transferable units: " + result["UNITS"]["UC"],
+        "CSU transferable units: " + result["UNITS"]["CSU"]
+    ];
+    for (let system of ["UC", "CSU"]) {
+        let term = result["READY"][system];
+        lines.push(term == null ?
+            "Not yet " + result["TRANSFER_UNITS"] + " " + system + " transferable units (" + Math.max(result["TRANSFER_UNITS"] - result["UNITS"][system], 0) + " to go)" :
+            result["TRANSFER_UNITS"] + " " + system + " transferable units reached in " + term["SEASON"] + " " + term["YEAR"]);
+    }
+    let ucLimits = result["UC_LIMITS"];
+    if (ucLimits != undefined && ucLimits["CAPS"].length > 0) {
+        lines.push("UC counts " + ucLimits["COUNTED"] + " of the " + ucLimits["RAW"] + " UC transferable units after its unit limitations:");
+    }
+    for (let line of lines) {
+        let paragraph = document.createElement("p");
+        paragraph.textContent = line;
+        summaryDiv.appendChild(paragraph);
+    }
+    // Explain every UC unit limitation that lowered the units
+    for (let cap of ucLimits == undefined ? [] : ucLimits["CAPS"]) {
+        let capDiv = document.createElement("div");
+        capDiv.classList.add("checklist-area", "checklist-PARTIAL");
+        let symbol = document.createElement("p");
+        symbol.classList.add("checklist-status");
+        symbol.textContent = "−" + (cap["RAW"] - cap["COUNTED"]);
+        capDiv.appendChild(symbol);
+        for (let line of [cap["NAME"] + ": " + cap["COUNTED"] + " of " + cap["RAW"] + " units count", cap["CLASSES"].join(", ")]) {
+            let paragraph = document.createElement("p");
+            paragraph.textContent = line;
+            capDiv.appendChild(paragraph);
+        }
+        let explanation = document.createElement("p");
+        explanation.classList.add("checklist-note");
+        explanation.textContent = cap["EXPLANATION"];
+        capDiv.appendChild(explanation);
+        summaryDiv.appendChild(capDiv);
+    }
+
+    fillGrid("analytics-terms", ["Term", "Units", "UC", "CSU", "Total so far"], result["TERMS"].map((term) => [
+        term["SEASON"] + " " + term["YEAR"], term["TOTAL"], term["UC"], term["CSU"], term["CUMULATIVE"]["TOTAL"]
+    ]));
+    // Mark the terms in which the schedule becomes ready to transfer
+    let cells = document.getElementById("analytics-terms").children;
+    result["TERMS"].forEach((term, index) => {
+        let ready = ["UC", "CSU"].some((system) => result["READY"][system] != null &&
+            result["READY"][system]["SEASON"] == term["SEASON"] && result["READY"][system]["YEAR"] == term["YEAR"]);
+        if (ready) {
+            cells[(index + 1) * 5].classList.add("analytics-ready");
+        }
+    });
+    fillGrid("analytics-divisions", ["Division", "Units"], result["DIVISIONS"].map((division) => [division["DIVISION"], division["UNITS"]]));
+}
+
+// The symbol shown in a comparison cell for each status
+const COMPARE_SYMBOLS = {"MET": "✔", "PLANNED": "◷", "MISSING": "✘", "UNKNOWN": "?"};
+
+/**
+ * Compare the current schedule across its universities, showing a grid with a column for
+ * every university and a row for every requirement, and the classes that would help the
+ * most universities (each with a button adding it to the selected term).
+ */
+async function updateComparison() {
+    let result = await makeRequest('/compare-universities', {name: CatalogManager.scheduleName});
+    let bestDiv = document.getElementById("compare-best");
+    let grid = document.getElementById("compare-grid");
+    bestDiv.innerHTML = "";
+    grid.innerHTML = "";
+    if (result["ROWS"] == undefined) {
+        bestDiv.textContent = "The comparison could not be loaded.";
+        return;
+    }
+    if (result["UNIVERSITIES"].length == 0) {
+        bestDiv.textContent = "This schedule has no universities to compare.";
+        return;
+    }
+
+    let suggestions = result["SUGGESTIONS"];
+    let heading = document.createElement("p");
+    heading.textContent = suggestions.length == 0 ? "No single class would help with the missing requirements." :
+        "Adding one of these classes would help the most universities:";
+    bestDiv.appendChild(heading);
+    suggestions.forEach((suggestion, index) => {
+        let paragraph = document.createElement("p");
+        paragraph.textContent = (index == 0 ? "★ " : "") + suggestion["ACR"] + " " + suggestion["NAME"] + " (" + suggestion["UNITS"] +
+            " units), helps " + suggestion["UNIVERSITIES"].length + " of " + result["UNIVERSITIES"].length + " universities: " +
+            suggestion["UNIVERSITIES"].join(", ");
+        let add = document.createElement("a");
+        add.textContent = "+";
+        add.addEventListener("click", (evt) => {
+            evt.preventDefault();
+            let season = document.getElementById("season-dropdown").selectedOptions[0].text;
+            let year = document.getElementById("year-dropdown").selectedOptions[0].text;
+            CatalogManager.addClass(suggestion["ACR"], season, year);
+        });
+        paragraph.appendChild(add);
+        bestDiv.appendChild(paragraph);
+    });
+
+    grid.style.gridTemplateColumns = "2fr" + " 1fr".repeat(result["UNIVERSITIES"].length);
+    for (let cell of ["Requirement"].concat(result["UNIVERSITIES"].map((university) => university["NAME"]))) {
+        let paragraph = document.createElement("p");
+        paragraph.textContent = cell;
+        grid.appendChild(paragraph);
+    }
+    for (let row of result["ROWS"]) {
+        let name = document.createElement("p");
+        name.textContent = row["REQUIREMENT"];
+        grid.appendChild(name);
+        for (let cell of row["CELLS"]) {
+            let paragraph = document.createElement("p");
+            if (cell == null) {
+                paragraph.textContent = "—";
+            } else {
+                paragraph.textContent = COMPARE_SYMBOLS[cell["STATUS"]] + " " + cell["DETAIL"];
+                paragraph.classList.add("compare-" + cell["STATUS"]);
+            }
+            grid.appendChild(paragraph);
+        }
+    }
+}
+
+// How every type of edit is described in the history
+const HISTORY_VERBS = {"ADD": "Added", "REMOVE": "Removed", "MOVE": "Moved"};
+
+/**
+ * Describe an edit of the schedule's history.
+ * @param {JSON} operation An operation of the schedule's HISTORY
+ * @returns {String} e.g. "Added CS-102 to Fall 2025" or "Moved CS-102 from Fall 2025 to Spring 2026"
+ */
+function describeOperation(operation) {
+    if (operation["TYPE"] == "BATCH") {
+        let inner = operation["OPERATIONS"];
+        return "Made " + inner.length + " edits at once: " + inner.slice(0, 3).map(describeOperation).join(", ") + (inner.length > 3 ? ", ..." : "");
+    }
+    let term = operation["SEASON"] + " " + operation["YEAR"];
+    if (operation["TYPE"] == "MOVE") {
+        return HISTORY_VERBS["MOVE"] + " " + operation["ACR"] + " from " + term + " to " + operation["TO_SEASON"] + " " + operation["TO_YEAR"];
+    }
+    return HISTORY_VERBS[operation["TYPE"]] + " " + operation["ACR"] + (operation["TYPE"] == "ADD" ? " to " : " from ") + term;
+}
+
+/**
+ * Display the edit history of the current schedule, newest first, with a button restoring
+ * the schedule to every point. Edits that were undone are grayed out until a new edit drops them.
+ */
+function updateHistory() {
+    let operations = CatalogManager.currentSchedule["HISTORY"] || [];
+    let index = CatalogManager.currentSchedule["HISTORY_INDEX"] == undefined ? operations.length : CatalogManager.currentSchedule["HISTORY_INDEX"];
+    document.getElementById("history-undo").disabled = index == 0;
+    document.getElementById("history-redo").disabled = index >= operations.length;
+
+    let entriesDiv = document.getElementById("history-entries");
+    entriesDiv.innerHTML = "";
+    for (let point = operations.length; point >= 0; point--) {
+        let entryDiv = document.createElement("div");
+        entryDiv.classList.add("history-entry");
+        if (point == index) {
+            entryDiv.classList.add("history-current");
+        } else if (point > index) {
+            entryDiv.classList.add("history-undone");
+        }
+
+        let description = document.createElement("p");
+        if (point == 0) {
+            description.textContent = "Before the first edit";
+        } else {
+            let operation = operations[point - 1];
+            description.textContent = describeOperation(operation) + " (" + new Date(operation["DATE"]).toLocaleString() + ")";
+        }
+        entryDiv.appendChild(description);
+
+        if (point == index) {
+            let current = document.createElement("p");
+            current.textContent = "Current";
+            entryDiv.appendChild(current);
+        } else {
+            let restore = document.createElement("a");
+            restore.textContent = "Restore";
+            restore.addEventListener("click", (evt) => {
+                evt.preventDefault();
+                CatalogManager.restore(point);
+            });
+            entryDiv.appendChild(restore);
+        }
+        entriesDiv.appendChild(entryDiv);
+    }
+}
+
+/**
+ * Copy a schedule of the database into the user's account under a name they choose,
+ * offering to open the copy in the builder.
+ * @param {JSON} schedule A schedule of the database
+ */
+async function forkSchedule(schedule) {
+    let name = prompt("Name your copy of " + schedule["NAME"] + ":", schedule["NAME"] + " (fork)");
+    if (name == null) {
+        return;
+    }
+    let response = await makeRequest('/fork-schedule', {id: schedule["ID"], name: name});
+    if (response["info"] != "SUCCESS") {
+        alert("The schedule could not be forked: " + response["info"].toLowerCase());
+        return;
+    }
+    if (confirm(name + " was added to your schedules. Open it now?")) {
+        location.replace("/builder.html?name=" + encodeURIComponent(name));
+    }
+}
+
 /**
  * Display the database to the user based on the parameters
  * they have selected.
@@ -325,12 +1118,27 @@ async function displayDatabase(schedules, formDIV="database-schedules") {
         let universityString = buildString("Universities", schedule["UNIVERSITIES"]);
 
         let fields = [schedule["NAME"] + " by " + schedule["USERNAME"], majorString, universityString, "Date: " + (new Date(schedule["created"])).toDateString()];
+        if (schedule["FORKED_FROM"] != undefined) {
+            fields.push("Forked from " + schedule["FORKED_FROM"]["NAME"] + " by " + schedule["FORKED_FROM"]["USERNAME"]);
+        }
+        if (schedule["FORKS"] > 0) {
+            fields.push("Forked " + schedule["FORKS"] + (schedule["FORKS"] == 1 ? " time" : " times"));
+        }
         for (let field of fields) {
             let newParagraph = document.createElement("p");
             newParagraph.textContent = field;
             profileFields.appendChild(newParagraph);
         }
 
+        // Copy the schedule into the user's account
+        let forkButton = document.createElement("button");
+        forkButton.textContent = "Fork this Schedule";
+        forkButton.addEventListener("click", (evt) => {
+            evt.preventDefault();
+            forkSchedule(schedule);
+        });
+        profileFields.appendChild(forkButton);
+
         let iconDiv = document.createElement("div");
         iconDiv.style.margin = "auto";
         let icon = document.createElement("i");
@@ -351,9 +1159,9 @@ async function displayDatabase(schedules, formDIV="database-schedules") {
             classDiv.classList.add("database-schedule-classes");
 
             for (let classACR of semester["CLASSES"]) {
-                let classInfo = await makeRequest('query-data', {query: "CLASS", acr: classACR});
+                let classInfo = schedule["COURSES"][classACR];
                 let newParagraph = document.createElement("p");
-                newParagraph.textContent = classInfo["AREA-ACR"] + ": " + classInfo["NAME"];
+                newParagraph.textContent = classACR + ": " + (classInfo != null ? classInfo["NAME"] : "No longer in the catalog");
                 classDiv.appendChild(newParagraph);
             }
             databaseScheduleDropdown.append(header, classDiv);
@@ -497,7 +1305,8 @@ async function initializeDatabase() {
             matching: matching, 
             majors: CatalogManager.currentSchedule["MAJORS"], 
             universities: CatalogManager.currentSchedule["UNIVERSITIES"], 
-            page: 1
+            page: 1,
+            details: true
         });
         // TODO: Handle pagination at the bottom
         displayDatabase(schedules, formDIVID);
@@ -516,13 +1325,8 @@ async function main_builder_func() {
     // The user is guaranteed to be signed in past this point
 
     // Initialize the tools menu buttons
-    initializeToolsMenu(["catalog-button", "database-button"], ["catalog", "database"]);
-
-    // Initialize the catalog tool
-    await initializeDepartments();
-    setupDepartmentSelect();
-    // Perform phony select request
-    document.getElementById("department").dispatchEvent(new Event("change"));
+    initializeToolsMenu(["catalog-button", "database-button", "ge-button", "degree-button", "prep-button", "analytics-button", "compare-button", "history-button"],
+        ["catalog", "database", "ge", "degree", "prep", "analytics", "compare", "history"]);
 
     // Initialize the Catalog with the current schedule (from the URL)
     await CatalogManager.initialize();
@@ -541,6 +1345,34 @@ async function main_builder_func() {
         document.getElementById("schedule-no-exist").style.display = "none";
     }
 
+    // Initialize the catalog tool (requires the schedule's catalog year)
+    await initializeDepartments();
+    await initializeDivisions();
+    setupDepartmentSelect();
+    setupCourseSearch();
+    // Perform phony select request
+    document.getElementById("department").dispatchEvent(new Event("change"));
+
+    // Initialize the GE checklists (kept up to date on every edit)
+    await initializeChecklist();
+
+    // Initialize the degree audit (also kept up to date on every edit)
+    await initializeDegreeAudit();
+
+    // Show the major preparation for the schedule's universities (also kept up to date on every edit)
+    await updatePreparation();
+
+    // Show the transfer readiness figures (also kept up to date on every edit)
+    await updateAnalytics();
+
+    // Compare the schedule across its universities (also kept up to date on every edit)
+    await updateComparison();
+
+    // Show the edit history, with undo and redo (also kept up to date on every edit)
+    document.getElementById("history-undo").addEventListener("click", () => CatalogManager.undo());
+    document.getElementById("history-redo").addEventListener("click", () => CatalogManager.redo());
+    updateHistory();
+
     // Initialize the database (requires that the CatalogManager is initialized)
     await initializeDatabase();
 
@@ -42,7 +42,7 @@ function handle_display() {
 function editScheduleScript(evt) {
     evt.preventDefault();
     console.log("Attempting Edit on Schedule named " + evt.target.schedule);
-    location.replace("/builder.html?name=" + evt.target.schedule);
+    location.replace("/builder.html?name=" + encodeURIComponent(evt.target.schedule));
 }
 
 async function deleteScheduleScript(evt) {
@@ -128,6 +128,14 @@ async function displaySchedules() {
             new_field.appendChild(name_value);
             fields_div.appendChild(new_field);
 
+            // Show where a forked schedule came from, and how many times other students forked this one
+            if (schedule["FORKED_FROM"] != undefined) {
+                appendNewScheduleField("Forked from: ", [schedule["FORKED_FROM"]["NAME"] + " by " + schedule["FORKED_FROM"]["USERNAME"]]);
+            }
+            if (schedule["FORKS"] > 0) {
+                appendNewScheduleField("Forks: ", [schedule["FORKS"]]);
+            }
+
             let new_button = document.createElement("button");
             new_button.schedule = schedule["NAME"];
             new_button.textContent = "Edit this Schedule";
@@ -268,6 +276,97 @@ async function prepareInputs() {
     prepareCategorySearch(data["UNIVERSITIES"], "university-categories", "university-form", "university-search");
 }
 
+/**
+ * Fill the catalog year dropdown with every catalog on the server,
+ * selecting the newest catalog by default.
+ * @param {String} selectID The ID of the catalog year select
+ */
+async function prepareCatalogYears(selectID = "catalog-year") {
+    let years = await makeRequest('/query-data', {query: "YEARS"});
+    let dropdown = document.getElementById(selectID);
+    dropdown.innerHTML = "";
+    for (let year of years) {
+        let newOption = document.createElement("option");
+        newOption.value = year;
+        newOption.text = year.replace("_", "-");
+        dropdown.appendChild(newOption);
+    }
+    dropdown.value = years[years.length - 1];
+}
+
+/**
+ * Fill the GE pattern checkboxes with every pattern available for the selected
+ * catalog year, checking IGETC by default. Refilled whenever the catalog year changes.
+ * @param {String} formDIV The ID of the div holding the checkboxes
+ * @param {String} selectID The ID of the catalog year select
+ */
+async function prepareGEPatterns(formDIV = "ge-patterns", selectID = "catalog-year") {
+    let dropdown = document.getElementById(selectID);
+    formDIV = document.getElementById(formDIV);
+
+    async function fillPatterns() {
+        let patterns = await makeRequest('/query-data', {query: "PATTERNS", year: dropdown.value});
+        formDIV.innerHTML = "";
+        for (let pattern of patterns) {
+            let newCheckbox = document.createElement("input");
+            newCheckbox.type = "checkbox";
+            newCheckbox.value = pattern["NAME"];
+            newCheckbox.checked = pattern["NAME"] == "IGETC";
+
+            let newLabel = document.createElement("label");
+            newLabel.textContent = pattern["NAME"] + (pattern["NOTE"] ? " (" + pattern["NOTE"] + ")" : "");
+            newLabel.title = pattern["FULL_NAME"];
+
+            formDIV.appendChild(newCheckbox);
+            formDIV.appendChild(newLabel);
+            formDIV.appendChild(document.createElement("br"));
+        }
+    }
+    dropdown.addEventListener("change", fillPatterns);
+    await fillPatterns();
+}
+
+/**
+ * Returns the names of the GE patterns the user checked.
+ * @param {String} formDIV The ID of the div holding the checkboxes
+ * @returns {Array} An array of pattern names
+ */
+function getSelectedPatterns(formDIV = "ge-patterns") {
+    let selected = [];
+    for (let checkbox of document.getElementById(formDIV).getElementsByTagName("input")) {
+        if (checkbox.checked) {
+            selected.push(checkbox.value);
+        }
+    }
+    return selected;
+}
+
+/**
+ * Suggest the degrees (associate degrees for transfer first) that match the majors
+ * the user checked. Updated whenever a major is checked or the catalog year changes.
+ * @param {String} majorForm The ID of the major checkbox div
+ * @param {String} outputID The ID of the element to show the suggestions in
+ * @param {String} selectID The ID of the catalog year select
+ */
+async function prepareDegreeSuggestions(majorForm = "major-form", outputID = "suggested-degrees", selectID = "catalog-year") {
+    let dropdown = document.getElementById(selectID);
+    let output = document.getElementById(outputID);
+
+    async function suggestDegrees() {
+        let majors = getCategoryInputs(majorForm, "university-form")[0];
+        if (majors.length == 0) {
+            output.textContent = "";
+            return;
+        }
+        let degrees = await makeRequest('/query-data', {query: "DEGREES", year: dropdown.value, majors: majors});
+        output.textContent = degrees.length == 0 ? "No degrees at this college match your majors." :
+            "Suggested degrees: " + degrees.map((degree) => degree["NAME"] + " " + degree["TYPE"]).join(", ");
+    }
+    document.getElementById(majorForm).addEventListener("change", suggestDegrees);
+    dropdown.addEventListener("change", suggestDegrees);
+    await suggestDegrees();
+}
+
 /**
  * Returns the user selected major and universities in a two element array
  * @param {String} universityForm The ID to university checkbox div
@@ -295,6 +394,74 @@ function getCategoryInputs(majorForm, universityForm) {
     return [selectedMajors, selectedUniversities];
 }
 
+// The plan last generated for the user (null until one is generated)
+let generatedPlan = null;
+
+/**
+ * Setup the plan generator, which builds a plan from the majors, universities, catalog
+ * year and GE patterns chosen for the new schedule. The plan is previewed, and saved
+ * along with the schedule when it is created.
+ */
+function preparePlanGenerator() {
+    let linkSlider = (inputID, spanID) => {
+        let input = document.getElementById(inputID);
+        input.addEventListener("input", (evt) => {
+            document.getElementById(spanID).textContent = input.value;
+        });
+    };
+    linkSlider("plan-semesters", "plan-semesters-span");
+    linkSlider("plan-units", "plan-units-span");
+    document.getElementById("plan-year").value = (new Date()).getFullYear();
+
+    document.getElementById("plan-generate").addEventListener("click", async (evt) => {
+        let [majors, universities] = getCategoryInputs("major-form", "university-form");
+        let preview = document.getElementById("plan-preview");
+        if (majors.length == 0 || universities.length == 0) {
+            preview.textContent = "Choose at least 1 major and 1 university first.";
+            return;
+        }
+        preview.textContent = "Generating...";
+        let plan = await makeRequest('/generate-plan', {
+            majors: majors,
+            universities: universities,
+            season: document.getElementById("plan-season").value,
+            year: document.getElementById("plan-year").value,
+            semesters: document.getElementById("plan-semesters").value,
+            maxUnits: document.getElementById("plan-units").value,
+            summer: document.getElementById("plan-summer").checked,
+            catalogYear: document.getElementById("catalog-year").value,
+            pattern: getSelectedPatterns()[0]
+        });
+        preview.innerHTML = "";
+        if (plan["SEMESTERS"] == undefined) {
+            generatedPlan = null;
+            document.getElementById("plan-use-label").style.display = "none";
+            preview.textContent = "The plan could not be generated.";
+            return;
+        }
+        generatedPlan = plan;
+
+        let lines = plan["SEMESTERS"].slice().reverse().map((semester) => semester["SEASON"] + " " + semester["YEAR"] + ": " + semester["CLASSES"].join(", "));
+        lines.push(plan["UNITS"] + " units. " + (plan["GE_COMPLETE"] ? plan["PATTERN"] + " is complete." : plan["PATTERN"] + " is not complete."));
+        if (plan["UNSCHEDULED"].length > 0) {
+            lines.push("Did not fit (add semesters or units): " + plan["UNSCHEDULED"].join(", "));
+        }
+        if (plan["PLACEMENT"].length > 0) {
+            lines.push("Assumes placement past: " + plan["PLACEMENT"].join(", "));
+        }
+        for (let result of plan["PREPARATION"]) {
+            lines.push(result["UNIVERSITY"] + " " + result["MAJOR"] + ": " +
+                (!result["AVAILABLE"] ? "no major preparation on file" : result["COMPLETE"] ? "major preparation complete" : "major preparation incomplete"));
+        }
+        for (let line of lines) {
+            let paragraph = document.createElement("p");
+            paragraph.textContent = line;
+            preview.appendChild(paragraph);
+        }
+        document.getElementById("plan-use-label").style.display = "initial";
+    });
+}
+
 function attachCreateScript() {
     document.getElementById("schedule_create").addEventListener("click", async (evt) => {
         // evt.preventDefault();
@@ -303,24 +470,27 @@ function attachCreateScript() {
         let majors = inputted[0];
         let universities = inputted[1];
 
-        // Perform Checks TODO: Move this server-side
+        // Perform Checks (the server checks that the name is unique)
         let name = document.getElementById("schedule-name").value;
-        let schedules = await makeRequest('/fetch-schedule', {name: name});
-        console.log(schedules);
         if(inputted[0].length == 0 || inputted[1].length == 0) {
             document.getElementById("no-majors-schedules").style.display = "initial";
             document.getElementById("existing-schedule").style.display = "none";
             document.getElementById("no-name").style.display = "none";
-        } else if (schedules.valid == undefined) {
-            document.getElementById("no-majors-schedules").style.display = "none";
-            document.getElementById("existing-schedule").style.display = "initial";
-            document.getElementById("no-name").style.display = "none";
         } else if (name == "") {
             document.getElementById("no-majors-schedules").style.display = "none";
             document.getElementById("existing-schedule").style.display = "none";
             document.getElementById("no-name").style.display = "initial";
         } else {
-            await makeRequest("/create-schedule", {majors, universities, name});
+            let year = document.getElementById("catalog-year").value;
+            let patterns = getSelectedPatterns();
+            let semesters = generatedPlan != null && document.getElementById("plan-use").checked ? generatedPlan["SEMESTERS"] : [];
+            let response = await makeRequest("/create-schedule", {majors, universities, name, year, patterns, semesters});
+            if (response["info"] == "A SCHEDULE WITH THAT NAME ALREADY EXISTS.") {
+                document.getElementById("no-majors-schedules").style.display = "none";
+                document.getElementById("existing-schedule").style.display = "initial";
+                document.getElementById("no-name").style.display = "none";
+                return;
+            }
             location.reload();
         }
     });
@@ -337,6 +507,10 @@ async function builderEntryWrap() {
     if (isSignedIn) {
         await displaySchedules();
         await prepareInputs();
+        await prepareCatalogYears();
+        await prepareGEPatterns();
+        await prepareDegreeSuggestions();
+        preparePlanGenerator();
         attachCreateScript();
     }
 }
@@ -182,6 +182,17 @@ async function displaySchedules(schedules) {
         let scheduleClassesDropdown = document.createElement("div");
         scheduleClassesDropdown.classList.add("schedule-classes-dropdown");
 
+        // Look up every class in the schedule at once
+        let acrs = [];
+        for (let semester of schedule["SEMESTERS"]) {
+            acrs.push(...semester["CLASSES"]);
+        }
+        let courses = await makeRequest('/query-data', {
+            query: "BATCH",
+            acrs: acrs,
+            year: schedule["CATALOG_YEAR"]
+        });
+
         for (let semester of schedule["SEMESTERS"]) {
             let semesterHeader = document.createElement("h3");
             semesterHeader.textContent = semester["YEAR"] + " " + semester["SEASON"];
@@ -190,10 +201,7 @@ async function displaySchedules(schedules) {
             contentDiv.classList.add("schedule-classes-content");
 
             for (let classACR of semester["CLASSES"]) {
-                let classInfo = await makeRequest('/query-data', {
-                    query: "CLASS",
-                    acr: classACR
-                });
+                let classInfo = courses[classACR];
                 if (classInfo == null) {
                     continue;
                 }
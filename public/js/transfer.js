@@ -0,0 +1,222 @@
+/** transfer.js
+ * The client side script for transfer.html, showing what a campus expects of a
+ * transfer student in a major (from the same data the builder uses) and letting
+ * a signed in user start a schedule for it.
+ * 
+ * @file transfer.js
+ */
+
+// The universities and majors of major_colleges.json
+let majorColleges = null;
+// The majors with major preparation on file, by university
+let preparedMajors = {};
+// The requirements currently shown (see /transfer-requirements)
+let shownRequirements = null;
+
+/**
+ * Make a request to the server with a certain route and body
+ * if needed and return the response asynchronously.
+ * @param {String} route 
+ * @param {JSON} body 
+ * @returns {JSON} Some JSON object or array.
+ */
+async function makeRequest(route, body=null) {
+    let options = {
+        method: 'GET',
+        headers: {
+            'Content-Type': "application/json"
+        },
+    };
+    if (body != null) {
+        options.method = 'POST';
+        options.body = JSON.stringify(body)
+    }
+    let res = await (await fetch(route, options)).json();
+    return res;
+}
+
+/**
+ * Add an optgroup of options to a select.
+ * @param {HTMLElement} select
+ * @param {String} label The label of the optgroup
+ * @param {Array} values The value (and text) of every option
+ */
+function appendOptions(select, label, values) {
+    let group = document.createElement("optgroup");
+    group.label = label;
+    for (let value of values) {
+        let option = document.createElement("option");
+        option.value = value;
+        option.textContent = value;
+        group.appendChild(option);
+    }
+    select.appendChild(group);
+}
+
+/**
+ * Fill the major select for the selected university, listing the majors with
+ * major preparation on file first.
+ */
+function fillMajors() {
+    let university = document.getElementById("transfer-university").value;
+    let select = document.getElementById("transfer-major");
+    let selected = select.value;
+    select.innerHTML = "";
+    let prepared = preparedMajors[university] || [];
+    if (prepared.length > 0) {
+        appendOptions(select, "Major preparation on file", prepared);
+    }
+    for (let category of Object.keys(majorColleges["MAJORS"])) {
+        appendOptions(select, category, majorColleges["MAJORS"][category].filter((major) => !prepared.includes(major)));
+    }
+    if (Array.from(select.options).some((option) => option.value == selected)) {
+        select.value = selected;
+    }
+}
+
+/**
+ * Make a bordered block of lines, like the checklists of the builder.
+ * @param {Array} lines The text of every line
+ * @returns {HTMLElement}
+ */
+function makeBlock(lines) {
+    let block = document.createElement("div");
+    block.classList.add("transfer-requirement");
+    for (let line of lines) {
+        let paragraph = document.createElement("p");
+        paragraph.textContent = line;
+        block.appendChild(paragraph);
+    }
+    return block;
+}
+
+/**
+ * Fetch and display the requirements of the selected university and major.
+ */
+async function displayRequirements() {
+    let university = document.getElementById("transfer-university").value;
+    let major = document.getElementById("transfer-major").value;
+    let result = await makeRequest('/transfer-requirements', {university, major});
+    let resultsDiv = document.getElementById("transfer-results");
+    if (result["UNIVERSITY"] == undefined) {
+        shownRequirements = null;
+        resultsDiv.style.display = "none";
+        return;
+    }
+    shownRequirements = result;
+    resultsDiv.style.display = "block";
+
+    let systems = {"UC": "University of California", "CSU": "California State University"};
+    document.getElementById("transfer-units").textContent = result["SYSTEM"] == "OTHER" ?
+        "Most campuses expect at least " + result["MINIMUM_UNITS"] + " transferable units. Check with " + university + " for its exact minimum." :
+        university + " expects at least " + result["MINIMUM_UNITS"] + " units transferable to the " + systems[result["SYSTEM"]] + ".";
+    let limitsDiv = document.getElementById("transfer-limits");
+    limitsDiv.innerHTML = "";
+    if (result["UNIT_LIMITS"].length > 0) {
+        limitsDiv.appendChild(makeBlock(["Not every transferable unit counts:"]
+            .concat(result["UNIT_LIMITS"].map((limit) => limit["NAME"] + ": " + limit["EXPLANATION"]))));
+    }
+
+    let patternsDiv = document.getElementById("transfer-patterns");
+    patternsDiv.innerHTML = "";
+    if (result["GE_PATTERNS"].length == 0) {
+        patternsDiv.appendChild(makeBlock(["This campus sets its own general education requirements."]));
+    }
+    for (let pattern of result["GE_PATTERNS"]) {
+        let lines = [pattern["FULL_NAME"] + " (" + pattern["NAME"] + ")"];
+        if (pattern["NOTE"]) {
+            lines.push(pattern["NOTE"]);
+        }
+        for (let area of pattern["AREAS"]) {
+            lines.push("Area " + area["AREA"] + ", " + area["NAME"] + ": " + area["COURSES"] + (area["COURSES"] == 1 ? " course" : " courses") +
+                (area["UNITS"] > 0 ? ", " + area["UNITS"] + " units" : ""));
+        }
+        patternsDiv.appendChild(makeBlock(lines));
+    }
+
+    let prepDiv = document.getElementById("transfer-prep");
+    prepDiv.innerHTML = "";
+    let prep = result["PREPARATION"];
+    if (!prep["AVAILABLE"]) {
+        prepDiv.appendChild(makeBlock(["No major preparation is on file for this major yet. Check ASSIST (assist.org) for the courses to take."]));
+    }
+    if (prep["NOTE"]) {
+        prepDiv.appendChild(makeBlock([prep["NOTE"]]));
+    }
+    for (let requirement of prep["REQUIREMENTS"]) {
+        let options = requirement["OPTIONS"].map((option) => option.map((course) =>
+            course["ACR"] + (course["NAME"] == null ? "" : " " + course["NAME"] + " (" + course["UNITS"] + " units)")).join(" + "));
+        prepDiv.appendChild(makeBlock([requirement["NAME"]].concat(options.length > 1 ? ["One of:"].concat(options) : options)));
+    }
+
+    document.getElementById("transfer-schedule-name").value = major + " at " + university;
+}
+
+/**
+ * Get the first term of a new schedule's plan: the coming Fall, or the next Spring once Fall has started.
+ * @returns {JSON} An object of {SEASON, YEAR}
+ */
+function nextTerm() {
+    let now = new Date();
+    return now.getMonth() < 7 ? {"SEASON": "Fall", "YEAR": now.getFullYear()} : {"SEASON": "Spring", "YEAR": now.getFullYear() + 1};
+}
+
+/**
+ * Create a schedule for the shown university and major, with its first GE pattern picked
+ * (and, if asked for, a plan of its prep courses and GE), then open it in the builder.
+ */
+async function createSchedule() {
+    let info = document.getElementById("transfer-create-info");
+    let name = document.getElementById("transfer-schedule-name").value.trim();
+    if (shownRequirements == null) {
+        return;
+    }
+    if (name == "") {
+        info.textContent = "Please enter a name for the schedule.";
+        return;
+    }
+    let majors = [shownRequirements["MAJOR"]];
+    let universities = [shownRequirements["UNIVERSITY"]];
+    let patterns = shownRequirements["GE_PATTERNS"].slice(0, 1).map((pattern) => pattern["NAME"]);
+    let semesters = [];
+    if (document.getElementById("transfer-plan").checked) {
+        let term = nextTerm();
+        let plan = await makeRequest('/generate-plan', {majors, universities, season: term["SEASON"], year: term["YEAR"],
+            semesters: 4, maxUnits: 15, pattern: patterns[0]});
+        semesters = plan["SEMESTERS"] || [];
+    }
+    let response = await makeRequest('/create-schedule', {majors, universities, name, patterns, semesters});
+    if (response["info"] != "SUCCESS") {
+        info.textContent = "The schedule could not be created: " + response["info"].toLowerCase();
+        return;
+    }
+    location.replace("/builder.html?name=" + encodeURIComponent(name));
+}
+
+/**
+ * Fill the selects from the university and major data, and show the requirements
+ * of the first campus and major.
+ */
+async function initializeTransfer() {
+    majorColleges = await makeRequest('/fetch-major-colleges');
+    preparedMajors = await makeRequest('/query-data', {query: "PREPARATION"});
+
+    let universitySelect = document.getElementById("transfer-university");
+    for (let group of Object.keys(majorColleges["UNIVERSITIES"])) {
+        appendOptions(universitySelect, group, majorColleges["UNIVERSITIES"][group]);
+    }
+    fillMajors();
+    universitySelect.addEventListener("change", async () => {
+        fillMajors();
+        await displayRequirements();
+    });
+    document.getElementById("transfer-major").addEventListener("change", displayRequirements);
+
+    document.getElementById("transfer-start").style.display = isSignedIn ? "block" : "none";
+    document.getElementById("transfer-sign-in").style.display = isSignedIn ? "none" : "block";
+    document.getElementById("transfer-create").addEventListener("click", createSchedule);
+
+    await displayRequirements();
+}
+
+queue.push(initializeTransfer);
@@ -13,7 +13,20 @@
 //NEEDED REQUIREMENTS (INCLUDE NEW MODULES AS NEEDED)
 const mongo = require('./mongodb-library.js');
 const accounts = require('./accounts.js')
-const fs = require('fs');
+const catalog = require('./catalog.js');
+const search = require('./search.js');
+const validation = require('./validation.js');
+const patterns = require('./patterns.js');
+const degrees = require('./degrees.js');
+const preparation = require('./preparation.js');
+const analytics = require('./analytics.js');
+const limits = require('./limits.js');
+const planner = require('./planner.js');
+const compare = require('./compare.js');
+
+// The most courses a search returns (and the number returned when no limit is given)
+const SEARCH_LIMIT = 100;
+const SEARCH_DEFAULT_LIMIT = 25;
 
 /**
  * Sign up an account, manipulating the user's cookies to store their special session ID.
@@ -184,14 +197,29 @@ async function verify_session(req, res) {
 
 /**
  * Using the query object in the body, return some data from the catalog json file.
- * If the query was not recognized, return the entire file.
+ * If the query was not recognized, return the entire file. Every class returned
+ * is normalized, carrying the structured fields parsed from its MISC string
+ * (PREREQUISITES, ADVISORIES, TRANSFERABLE_CSU, etc., see catalog.js).
  * 
  * @param {JSON} req A JS object with a body equivalent to the following:
  * {
  *      query: [STRING], 
  *             "AREAS" = The AREAS array, holding JS objects that point each AREA ACR to its full name.
- *             "CLASSES" = The CLASSES array, expecting the acr to also be attached in the acr property.
+ *             "CLASSES" = The CLASSES of the AREA in the acr property, narrowed by the facets below
+ *                         (the acr may be left out to filter every class by the facets).
+ *             "DIVISIONS" = The DIVISIONS array, holding JS objects that point each DIVISION to its AREA ACRs.
  *             "CLASS" = A CLASS object, matching the provided acr.
+ *             "BATCH" = An object mapping every acr in the acrs property to its CLASS object (or null).
+ *             "YEARS" = An array of every catalog year available (e.g. ["2021_2022"]).
+ *             "PATTERNS" = An array of every GE pattern available for the catalog year, as {NAME, FULL_NAME, NOTE} objects.
+ *             "DEGREES" = An array of every degree of the catalog year (see degrees.degree_summary), or only the
+ *                         degrees suggested for the majors in the majors property, associate degrees for transfer first.
+ *             "PREPARATION" = An object mapping every university with major preparation on file to its majors.
+ *      year: [STRING] The catalog year to query (e.g. "2021_2022"), defaults to the newest catalog.
+ *      acrs: [ARRAY OF STRINGS] The acrs to look up for a "BATCH" query.
+ *      majors: [ARRAY OF STRINGS] (Optional) The majors to suggest degrees for in a "DEGREES" query.
+ *      division: [STRING], minUnits: [NUMBER], maxUnits: [NUMBER], csu: true / false, uc: true / false,
+ *      prerequisites: true / false The optional facets of a "CLASSES" query (see catalog.filter_courses).
  * }
  * @param {*} res An object of the form:
  * {
@@ -199,34 +227,80 @@ async function verify_session(req, res) {
  * }
  */
 async function query_data(req, res) {
-    // Get the data
-    let data = JSON.parse(fs.readFileSync("2021_2022_class_data.json"));
     let query = req.body.query;
+    if (query == "YEARS") {
+        res.send(catalog.catalog_years());
+        return;
+    }
+    // Get the data
+    let data = catalog.get_catalog(req.body.year);
+    if (data == null) {
+        res.send({"info": "NO CATALOG EXISTS FOR THAT YEAR."});
+        return;
+    }
 
     if (query == "AREAS") {
         res.send(data["AREAS"]);
+    } else if (query == "DIVISIONS") {
+        res.send(data["DIVISIONS"]);
+    } else if (query == "PATTERNS") {
+        res.send(patterns.pattern_summaries(catalog.resolve_catalog_year(req.body.year)));
+    } else if (query == "DEGREES") {
+        let year = catalog.resolve_catalog_year(req.body.year);
+        let list = Array.isArray(req.body.majors) ? degrees.suggest_degrees(req.body.majors, year) : degrees.get_degrees(year);
+        res.send(list.map(degrees.degree_summary));
+    } else if (query == "PREPARATION") {
+        res.send(preparation.preparation_summary(catalog.resolve_catalog_year(req.body.year)));
     } else if (query == "CLASSES") {
-        // Select all classes that match acr.
-        let classes = [];
-        for (let course of data["CLASSES"]) {
-            if (course["AREA"] == req.body.acr) {
-                classes.push(course);
-            }
-        }
-        res.send(classes);
+        // Select all classes that match acr and every facet provided.
+        res.send(catalog.filter_courses({
+            area: req.body.acr,
+            division: req.body.division,
+            minUnits: req.body.minUnits,
+            maxUnits: req.body.maxUnits,
+            csu: req.body.csu,
+            uc: req.body.uc,
+            prerequisites: req.body.prerequisites
+        }, req.body.year));
     } else if (query == "CLASS") {
-        let course = null;
-        for (let object of data["CLASSES"]) {
-            if (object["AREA-ACR"] == req.body.acr) {
-                course = object;
-            }
-        }
-        res.send(course);
+        res.send(catalog.get_course(req.body.acr, req.body.year));
+    } else if (query == "BATCH") {
+        res.send(catalog.get_courses(Array.isArray(req.body.acrs) ? req.body.acrs : [], req.body.year));
     } else {
         res.send(data);
     }
 }
 
+/**
+ * Search the catalog for courses matching the user's search terms, ranked by
+ * matches on AREA-ACR, NAME and description (with some typo tolerance).
+ * 
+ * @param {JSON} req A JS object with a body equivalent to the following:
+ * {
+ *      query: [STRING], The search terms (e.g. "intro to programming")
+ *      year: [STRING], The catalog year to search, defaults to the newest catalog
+ *      limit: [NUMBER], The largest number of courses to return (defaults to 25, and at most 100)
+ * }
+ * @param {*} res An array of CLASS objects, best match first, each with a SCORE property
+ */
+async function search_courses(req, res) {
+    try {
+        let data = catalog.get_catalog(req.body.year);
+        if (data == null) {
+            res.send({"info": "NO CATALOG EXISTS FOR THAT YEAR."});
+            return;
+        }
+        let limit = Math.floor(Number(req.body.limit)) || SEARCH_DEFAULT_LIMIT;
+        limit = Math.min(Math.max(limit, 1), SEARCH_LIMIT);
+        let results = search.search_courses(data, String(req.body.query || ""), limit);
+        res.send(results.map((result) => Object.assign({"SCORE": result.score}, result.course)));
+        return;
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN COURSE SEARCH. " + error.message);
+    }
+    res.send({"info": "AN ERROR OCCURRED IN COURSE SEARCH."});
+}
+
 /**
  * Get the schedules that belong to the user. Returns the schedules as
  * an array. If the user is not logged in, returns null.
@@ -262,6 +336,9 @@ async function get_user_schedules(req, res) {
  *      majors: Array of Strings,
  *      universities: Array of Strings,
  *      name: String,
+ *      year: String (The catalog year to build against, defaults to the newest catalog),
+ *      patterns: Array of Strings (The GE patterns the student is considering, such as ["IGETC", "Cal-GETC"]),
+ *      semesters: Array of {SEASON, YEAR, CLASSES} (Optional, the semesters to start with, such as a generated plan)
  * }
  * @param {JSON} res A JS object with an info property.
  */
@@ -269,8 +346,8 @@ async function create_schedule(req, res) {
     try {
         let verify_response = await accounts.verify_session(req.cookies["session"]);
         if (verify_response["valid"]) {
-            await accounts.create_schedule(verify_response["user_id"], req.body.majors, req.body.universities, req.body.name);
-            res.send({"info": "SUCCESS"});
+            let response = await accounts.create_schedule(verify_response["user_id"], req.body.majors, req.body.universities, req.body.name, req.body.year, req.body.patterns, req.body.semesters);
+            res.send({"info": response["info"]});
             return;
         } else {
             res.send({"info": "THE USER IS NOT SIGNED IN."});
@@ -282,6 +359,109 @@ async function create_schedule(req, res) {
     res.send({"info": "AN ERROR OCCURRED IN SCHEDULE CREATION."});
 }
 
+/**
+ * Rename one of the user's schedules. Names are unique per user, and the schedule can
+ * still be found by its old name (so the builder's ?name= link keeps working).
+ * 
+ * @param {JSON} req A JS Object with a body of the following structure
+ * {
+ *      name: String (The schedule's current name, or a previous one),
+ *      newName: String
+ * }
+ * @param {JSON} res {"info": "SUCCESS"} or {"info": [STRING]} detailing why the schedule wasn't renamed
+ */
+async function rename_schedule(req, res) {
+    try {
+        let verify_response = await accounts.verify_session(req.cookies["session"]);
+        if (verify_response["valid"]) {
+            let response = await accounts.rename_schedule(verify_response["user_id"], req.body.name, req.body.newName);
+            res.send({"info": response["info"]});
+            return;
+        } else {
+            res.send({"info": "THE USER IS NOT SIGNED IN."});
+            return;
+        }
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN SCHEDULE RENAMING. " + error.message);
+    }
+    res.send({"info": "AN ERROR OCCURRED IN SCHEDULE RENAMING."});
+}
+
+/**
+ * Copy another student's schedule from the database browser into the user's account
+ * under a new name (see accounts.fork_schedule).
+ * 
+ * @param {JSON} req A JS Object with a body of the following structure
+ * {
+ *      id: String (The ID of the schedule to copy, as sent by the database browser),
+ *      name: String (The name of the copy)
+ * }
+ * @param {JSON} res {"info": "SUCCESS"} or {"info": [STRING]} detailing why the schedule wasn't copied
+ */
+async function fork_schedule(req, res) {
+    try {
+        let verify_response = await accounts.verify_session(req.cookies["session"]);
+        if (verify_response["valid"]) {
+            let response = await accounts.fork_schedule(verify_response["user_id"], String(req.body.id), req.body.name);
+            res.send({"info": response["info"]});
+            return;
+        } else {
+            res.send({"info": "THE USER IS NOT SIGNED IN."});
+            return;
+        }
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN SCHEDULE FORKING. " + error.message);
+    }
+    res.send({"info": "AN ERROR OCCURRED IN SCHEDULE FORKING."});
+}
+
+/**
+ * Generate a plan of classes that completes the GE pattern and the major preparation
+ * of the given majors and universities. The plan isn't saved; send its SEMESTERS
+ * to /create-schedule to save it.
+ * 
+ * @param {JSON} req A JS Object with a body of the following structure
+ * {
+ *      majors: Array of Strings,
+ *      universities: Array of Strings,
+ *      season: String, year: Number (The first term of the plan),
+ *      semesters: Number (The number of terms to plan, from 1 to 12),
+ *      maxUnits: Number (The most units of a term, from 3 to 30),
+ *      summer: Boolean (Optional, whether to plan Summer terms),
+ *      catalogYear: String (Optional, the catalog year to build against),
+ *      pattern: String (Optional, the GE pattern to complete),
+ *      classes: Array of Strings (Optional, ACRs the plan must include)
+ * }
+ * @param {JSON} res The plan (see planner.generate_plan)
+ */
+async function generate_plan(req, res) {
+    try {
+        let semesters = Number(req.body.semesters);
+        let maxUnits = Number(req.body.maxUnits);
+        if (!Array.isArray(req.body.majors) || !Array.isArray(req.body.universities) ||
+            !validation.SEASON_ORDER.includes(req.body.season) || isNaN(Number(req.body.year)) ||
+            !(semesters >= 1 && semesters <= 12) || !(maxUnits >= 3 && maxUnits <= 30)) {
+            res.send({"info": "THE PLAN OPTIONS ARE INVALID."});
+            return;
+        }
+        res.send(planner.generate_plan({
+            majors: req.body.majors,
+            universities: req.body.universities,
+            start: {"SEASON": req.body.season, "YEAR": Number(req.body.year)},
+            semesters: Math.floor(semesters),
+            maxUnits: maxUnits,
+            summer: req.body.summer == true,
+            year: req.body.catalogYear,
+            pattern: req.body.pattern,
+            classes: Array.isArray(req.body.classes) ? req.body.classes.map(String) : []
+        }));
+        return;
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN PLAN GENERATION. " + error.message);
+    }
+    res.send({"info": "AN ERROR OCCURRED IN PLAN GENERATION."});
+}
+
 /**
  * Delete a schedule with a given name.
  * 
@@ -313,7 +493,9 @@ async function delete_schedule(req, res) {
  * 
  * @param {JSON} req A JS object with a body of the following structure:
  * {
- *      name: [STRING]
+ *      name: [STRING],
+ *      details: [BOOLEAN] (Optional) Embed every class's catalog details under the COURSES property,
+ *               and the warnings about its classes under the WARNINGS property
  * }
  * @param {JSON} res The Schedule Object in schedule notation
  */
@@ -321,7 +503,12 @@ async function fetch_schedule(req, res) {
     try {
         let verify_response = await accounts.verify_session(req.cookies["session"]);
         if (verify_response["valid"]) {
-            res.send(await accounts.fetch_schedule(verify_response["user_id"], req.body.name));
+            let schedule = await accounts.fetch_schedule(verify_response["user_id"], req.body.name);
+            if (req.body.details && schedule.valid != false) {
+                accounts.attach_course_details(schedule);
+                schedule["WARNINGS"] = validation.check_classes(schedule);
+            }
+            res.send(schedule);
             return;
         } else {
             res.send({"info": "THE USER IS NOT SIGNED IN."});
@@ -334,22 +521,295 @@ async function fetch_schedule(req, res) {
 }
 
 /**
- * Edit a schedule by either removing or adding a class.
+ * Run every check against one of the user's saved schedules: duplicate classes, unknown
+ * ACRs, classes no longer in the catalog, overloaded terms and missing prerequisites.
+ * 
+ * @param {JSON} req A JS object with a body of the following structure:
+ * {
+ *      name: [STRING]
+ * }
+ * @param {JSON} res The validation report (see validation.validate_schedule)
+ */
+async function validate_schedule(req, res) {
+    try {
+        let verify_response = await accounts.verify_session(req.cookies["session"]);
+        if (verify_response["valid"]) {
+            let schedule = await accounts.fetch_schedule(verify_response["user_id"], req.body.name);
+            if (schedule.valid == false) {
+                res.send({"info": "THE SCHEDULE DOES NOT EXIST."});
+                return;
+            }
+            res.send(validation.validate_schedule(schedule));
+            return;
+        } else {
+            res.send({"info": "THE USER IS NOT SIGNED IN."});
+            return;
+        }
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN SCHEDULE VALIDATION. " + error.message);
+    }
+    res.send({"info": "AN ERROR OCCURRED IN SCHEDULE VALIDATION."});
+}
+
+/**
+ * Evaluate one of the user's saved schedules against GE patterns (such as IGETC),
+ * listing which areas are satisfied, partially satisfied and missing.
+ * 
+ * @param {JSON} req A JS object with a body of the following structure:
+ * {
+ *      name: [STRING],
+ *      pattern: [STRING] (Optional) The name of a single pattern to evaluate
+ *      patterns: [ARRAY OF STRINGS] (Optional) The names of the patterns to evaluate side by side,
+ *                defaults to the GE_PATTERNS of the schedule
+ * }
+ * @param {JSON} res The evaluation of the pattern if one was named, otherwise an array
+ * of evaluations, one for each pattern (see patterns.evaluate_pattern)
+ */
+async function evaluate_pattern(req, res) {
+    try {
+        let verify_response = await accounts.verify_session(req.cookies["session"]);
+        if (verify_response["valid"]) {
+            let schedule = await accounts.fetch_schedule(verify_response["user_id"], req.body.name);
+            if (schedule.valid == false) {
+                res.send({"info": "THE SCHEDULE DOES NOT EXIST."});
+                return;
+            }
+            let year = catalog.schedule_catalog_year(schedule);
+            if (req.body.pattern != undefined) {
+                let pattern = patterns.get_pattern(req.body.pattern, year);
+                if (pattern == null) {
+                    res.send({"info": "NO PATTERN EXISTS WITH THAT NAME."});
+                    return;
+                }
+                res.send(patterns.evaluate_pattern(pattern, schedule));
+                return;
+            }
+            let names = Array.isArray(req.body.patterns) ? req.body.patterns : schedule["GE_PATTERNS"];
+            let results = [];
+            for (let name of names) {
+                let pattern = patterns.get_pattern(name, year);
+                if (pattern != null) {
+                    results.push(patterns.evaluate_pattern(pattern, schedule));
+                }
+            }
+            res.send(results);
+            return;
+        } else {
+            res.send({"info": "THE USER IS NOT SIGNED IN."});
+            return;
+        }
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN PATTERN EVALUATION. " + error.message);
+    }
+    res.send({"info": "AN ERROR OCCURRED IN PATTERN EVALUATION."});
+}
+
+/**
+ * Audit one of the user's saved schedules against a degree (such as the Computer Science AS-T),
+ * listing the requirements that are completed, planned and missing.
+ * 
+ * @param {JSON} req A JS object with a body of the following structure:
+ * {
+ *      name: [STRING],
+ *      degree: [STRING] (Optional) The ID of the degree, defaults to the first degree suggested
+ *              for the MAJORS of the schedule
+ * }
+ * @param {JSON} res The audit (see degrees.audit_degree)
+ */
+async function audit_degree(req, res) {
+    try {
+        let verify_response = await accounts.verify_session(req.cookies["session"]);
+        if (verify_response["valid"]) {
+            let schedule = await accounts.fetch_schedule(verify_response["user_id"], req.body.name);
+            if (schedule.valid == false) {
+                res.send({"info": "THE SCHEDULE DOES NOT EXIST."});
+                return;
+            }
+            let year = catalog.schedule_catalog_year(schedule);
+            let degree = req.body.degree != undefined ? degrees.get_degree(req.body.degree, year) :
+                degrees.suggest_degrees(schedule["MAJORS"] || [], year)[0];
+            if (degree == null) {
+                res.send({"info": "NO DEGREE EXISTS WITH THAT ID."});
+                return;
+            }
+            res.send(degrees.audit_degree(degree, schedule));
+            return;
+        } else {
+            res.send({"info": "THE USER IS NOT SIGNED IN."});
+            return;
+        }
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN DEGREE AUDITING. " + error.message);
+    }
+    res.send({"info": "AN ERROR OCCURRED IN DEGREE AUDITING."});
+}
+
+/**
+ * Evaluate one of the user's saved schedules against the major preparation of its
+ * universities, listing the prep courses that are planned and missing for every major.
+ * 
+ * @param {JSON} req A JS object with a body of the following structure:
+ * {
+ *      name: [STRING],
+ *      universities: [ARRAY OF STRINGS] (Optional) The universities to evaluate, defaults to
+ *                    the UNIVERSITIES of the schedule
+ * }
+ * @param {JSON} res An array of evaluations, one for every university and major (see preparation.evaluate_preparation)
+ */
+async function evaluate_preparation(req, res) {
+    try {
+        let verify_response = await accounts.verify_session(req.cookies["session"]);
+        if (verify_response["valid"]) {
+            let schedule = await accounts.fetch_schedule(verify_response["user_id"], req.body.name);
+            if (schedule.valid == false) {
+                res.send({"info": "THE SCHEDULE DOES NOT EXIST."});
+                return;
+            }
+            let universities = Array.isArray(req.body.universities) ? req.body.universities : undefined;
+            res.send(preparation.evaluate_preparation(schedule, universities));
+            return;
+        } else {
+            res.send({"info": "THE USER IS NOT SIGNED IN."});
+            return;
+        }
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN PREPARATION EVALUATION. " + error.message);
+    }
+    res.send({"info": "AN ERROR OCCURRED IN PREPARATION EVALUATION."});
+}
+
+/**
+ * Gather the transfer readiness figures of one of the user's saved schedules, such as
+ * its transferable units and the term in which it reaches 60 transferable units.
+ * 
+ * @param {JSON} req A JS object with a body of the following structure:
+ * {
+ *      name: [STRING]
+ * }
+ * @param {JSON} res The figures (see analytics.analyze_schedule), with the UC_LIMITS that make the
+ * units UC counts differ from the raw UC transferable units (see limits.apply_limits)
+ */
+async function schedule_analytics(req, res) {
+    try {
+        let verify_response = await accounts.verify_session(req.cookies["session"]);
+        if (verify_response["valid"]) {
+            let schedule = await accounts.fetch_schedule(verify_response["user_id"], req.body.name);
+            if (schedule.valid == false) {
+                res.send({"info": "THE SCHEDULE DOES NOT EXIST."});
+                return;
+            }
+            let result = analytics.analyze_schedule(schedule);
+            result["UC_LIMITS"] = limits.apply_limits(schedule, "UC");
+            res.send(result);
+            return;
+        } else {
+            res.send({"info": "THE USER IS NOT SIGNED IN."});
+            return;
+        }
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN SCHEDULE ANALYTICS. " + error.message);
+    }
+    res.send({"info": "AN ERROR OCCURRED IN SCHEDULE ANALYTICS."});
+}
+
+/**
+ * Compare one of the user's saved schedules across universities, with a row for every
+ * requirement (transferable units, GE and major preparation) and a column for every university,
+ * along with the classes that would help the most universities if added.
+ * 
+ * @param {JSON} req A JS object with a body of the following structure:
+ * {
+ *      name: [STRING],
+ *      universities: [ARRAY OF STRINGS] (Optional) The universities to compare, defaults to
+ *                    the UNIVERSITIES of the schedule
+ * }
+ * @param {JSON} res The comparison (see compare.compare_universities)
+ */
+async function compare_universities(req, res) {
+    try {
+        let verify_response = await accounts.verify_session(req.cookies["session"]);
+        if (verify_response["valid"]) {
+            let schedule = await accounts.fetch_schedule(verify_response["user_id"], req.body.name);
+            if (schedule.valid == false) {
+                res.send({"info": "THE SCHEDULE DOES NOT EXIST."});
+                return;
+            }
+            let universities = Array.isArray(req.body.universities) ? req.body.universities : undefined;
+            res.send(compare.compare_universities(schedule, universities));
+            return;
+        } else {
+            res.send({"info": "THE USER IS NOT SIGNED IN."});
+            return;
+        }
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN UNIVERSITY COMPARISON. " + error.message);
+    }
+    res.send({"info": "AN ERROR OCCURRED IN UNIVERSITY COMPARISON."});
+}
+
+/**
+ * Describe what a university expects of a transfer student in a major (the minimum units,
+ * accepted GE patterns and major preparation), for the transfer information page.
+ * Doesn't require the user to be signed in.
+ * 
+ * @param {JSON} req A JS object with a body of the following structure:
+ * {
+ *      university: [STRING],
+ *      major: [STRING],
+ *      year: [STRING] (Optional) The catalog year, defaults to the newest catalog
+ * }
+ * @param {JSON} res The requirements (see compare.transfer_requirements)
+ */
+async function transfer_requirements(req, res) {
+    try {
+        let data = catalog.get_major_colleges();
+        let universities = [].concat(...Object.values(data["UNIVERSITIES"]));
+        let majors = [].concat(...Object.values(data["MAJORS"]));
+        if (!universities.includes(req.body.university) || !majors.includes(req.body.major)) {
+            res.send({"info": "NO UNIVERSITY OR MAJOR EXISTS WITH THAT NAME."});
+            return;
+        }
+        res.send(compare.transfer_requirements(req.body.university, req.body.major, req.body.year));
+        return;
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN TRANSFER REQUIREMENTS. " + error.message);
+    }
+    res.send({"info": "AN ERROR OCCURRED IN TRANSFER REQUIREMENTS."});
+}
+
+/**
+ * Edit a schedule by either removing or adding a class, or moving it to another term in one step.
+ * Several edits can be sent at once as operations, which land together or not at all (see accounts.batch_edit_schedule).
  * @param {JSON} req A JS object with a body of the following type
  * {
- *      type: "ADD" / "REMOVE"
+ *      type: "ADD" / "REMOVE" / "MOVE"
         name: [STRING],
         acr: [STRING],
         season: [STRING],
-        year: [STRING]
+        year: [STRING],
+        toSeason: [STRING], (MOVE only) The term to move the class to
+        toYear: [STRING],
+        operations: [{type, acr, season, year, toSeason, toYear}] (Optional) Several edits to apply at once, in
+                    place of type, acr, season, year, toSeason and toYear
+        details: [BOOLEAN] (Optional) Embed every class's catalog details in the returned schedule
  * }
- * @param {*} res 
+ * @param {*} res The edited schedule, with a WARNINGS array of the problems found with it, such as
+ * {"type": "PREREQUISITE", "acr": "MATH-101B", "message": "MATH-101B requires MATH-101A in an earlier term", ...}
+ * and the UC_LIMITS applied to its UC_CREDITS (see limits.apply_limits), or {"info": [STRING], valid: false}
+ * if the edit was invalid
  */
 async function edit_schedule(req, res) {
     try {
         let verify_response = await accounts.verify_session(req.cookies["session"]);
         if (verify_response["valid"]) {
-            res.send(await accounts.edit_schedule(verify_response["user_id"], req.body.type, req.body.name, req.body.acr, req.body.season, req.body.year));
+            let schedule = Array.isArray(req.body.operations) ?
+                await accounts.batch_edit_schedule(verify_response["user_id"], req.body.name, req.body.operations) :
+                await accounts.edit_schedule(verify_response["user_id"], req.body.type, req.body.name, req.body.acr, req.body.season, req.body.year,
+                    req.body.toSeason, req.body.toYear);
+            if (req.body.details && schedule != undefined && schedule.valid != false) {
+                accounts.attach_course_details(schedule);
+            }
+            res.send(schedule);
             return;
         } else {
             res.send({"info": "THE USER IS NOT SIGNED IN."});
@@ -361,14 +821,140 @@ async function edit_schedule(req, res) {
     res.send({"info": "AN ERROR OCCURRED IN SCHEDULE EDITING. " + error.message});
 }
 
+/**
+ * Undo the last applied edit of one of the user's schedules.
+ * 
+ * @param {JSON} req A JS object with a body of the following structure:
+ * {
+ *      name: [STRING],
+ *      details: true / false (Optional) Whether to embed the details of every class (see accounts.attach_course_details)
+ * }
+ * @param {JSON} res The schedule, as sent back by /edit-schedule, or {"info": [STRING]} if there is nothing to move to
+ */
+async function undo_edit(req, res) {
+    try {
+        let verify_response = await accounts.verify_session(req.cookies["session"]);
+        if (verify_response["valid"]) {
+            let schedule = await accounts.undo_schedule(verify_response["user_id"], req.body.name);
+            if (req.body.details && schedule.valid != false) {
+                accounts.attach_course_details(schedule);
+            }
+            res.send(schedule);
+            return;
+        } else {
+            res.send({"info": "THE USER IS NOT SIGNED IN."});
+            return;
+        }
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN UNDOING AN EDIT. " + error.message);
+    }
+    res.send({"info": "AN ERROR OCCURRED IN UNDOING AN EDIT."});
+}
+
+/**
+ * Redo the last undone edit of one of the user's schedules.
+ * 
+ * @param {JSON} req A JS object with a body of the following structure:
+ * {
+ *      name: [STRING],
+ *      details: true / false (Optional) Whether to embed the details of every class (see accounts.attach_course_details)
+ * }
+ * @param {JSON} res The schedule, as sent back by /edit-schedule, or {"info": [STRING]} if there is nothing to move to
+ */
+async function redo_edit(req, res) {
+    try {
+        let verify_response = await accounts.verify_session(req.cookies["session"]);
+        if (verify_response["valid"]) {
+            let schedule = await accounts.redo_schedule(verify_response["user_id"], req.body.name);
+            if (req.body.details && schedule.valid != false) {
+                accounts.attach_course_details(schedule);
+            }
+            res.send(schedule);
+            return;
+        } else {
+            res.send({"info": "THE USER IS NOT SIGNED IN."});
+            return;
+        }
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN REDOING AN EDIT. " + error.message);
+    }
+    res.send({"info": "AN ERROR OCCURRED IN REDOING AN EDIT."});
+}
+
+/**
+ * Restore one of the user's schedules to a point of its edit history, where point 0 is
+ * the schedule before its first recorded edit and point N is the schedule right after its Nth
+ * edit (see history.js). Later edits can still be redone until a new edit is made.
+ * 
+ * @param {JSON} req A JS object with a body of the following structure:
+ * {
+ *      name: [STRING],
+ *      point: [NUMBER],
+ *      details: true / false (Optional) Whether to embed the details of every class (see accounts.attach_course_details)
+ * }
+ * @param {JSON} res The schedule, as sent back by /edit-schedule, or {"info": [STRING]} if there is nothing to move to
+ */
+async function restore_schedule(req, res) {
+    try {
+        let verify_response = await accounts.verify_session(req.cookies["session"]);
+        if (verify_response["valid"]) {
+            let schedule = await accounts.restore_schedule(verify_response["user_id"], req.body.name, req.body.point);
+            if (req.body.details && schedule.valid != false) {
+                accounts.attach_course_details(schedule);
+            }
+            res.send(schedule);
+            return;
+        } else {
+            res.send({"info": "THE USER IS NOT SIGNED IN."});
+            return;
+        }
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN SCHEDULE RESTORATION. " + error.message);
+    }
+    res.send({"info": "AN ERROR OCCURRED IN SCHEDULE RESTORATION."});
+}
+
 /**
  * Fetch the JSON file for majors and colleges. (Currently using global majors)
  * @param {*} req 
  * @param {*} res 
  */
 async function fetch_major_colleges(req, res) {
-    let data = JSON.parse(fs.readFileSync("major_colleges.json"));
-    res.send(data);
+    res.send(catalog.get_major_colleges());
+}
+
+/**
+ * Reload every catalog (and the majors and colleges file, GE patterns, degrees, major preparation and unit limits) from disk, so that an
+ * updated catalog is served without restarting the server. Requires the key set
+ * in the RELOADKEY environment variable.
+ * @param {*} req A request with a body of the following type:
+ * {
+ *      key: [STRING]
+ * }
+ * @param {*} res 
+ * {
+ *      info: [STRING],
+ *      years: [ARRAY OF STRINGS], The catalog years now loaded
+ *      problems: {YEAR: [ARRAY OF STRINGS]}, Any problems found in the catalog files
+ *      patterns: {NAME: [ARRAY OF STRINGS]}, The catalog years every GE pattern was loaded for
+ *      degrees: {YEAR: [NUMBER]}, The number of degrees loaded for every catalog year
+ *      preparation: {YEAR: [NUMBER]}, The number of universities with major preparation loaded for every catalog year
+ *      limits: {SYSTEM: [NUMBER]} The number of unit limitations loaded for every university system
+ * }
+ */
+async function reload_catalog(req, res) {
+    if (process.env.RELOADKEY == undefined || req.body.key != process.env.RELOADKEY) {
+        res.send({"info": "THE RELOAD KEY IS INVALID."});
+        return;
+    }
+    try {
+        let summary = catalog.reload_catalogs();
+        res.send({"info": "SUCCESS", years: summary.years, problems: summary.problems, patterns: patterns.reload_patterns(),
+            degrees: degrees.reload_degrees(), preparation: preparation.reload_preparation(), limits: limits.reload_limits()});
+    } catch (error) {
+        console.log("AN ERROR OCCURRED IN CATALOG RELOADING. " + error.message);
+        res.send({"info": "AN ERROR OCCURRED IN CATALOG RELOADING. " + error.message});
+    }
 }
 
 /**
@@ -381,7 +967,8 @@ async function fetch_major_colleges(req, res) {
  *      matching: [BOOLEAN],
  *      page: [NUMBER],
  *      majors: [ARRAY OF STRINGS],
- *      universities: [ARRAY OF STRINGS]
+ *      universities: [ARRAY OF STRINGS],
+ *      details: [BOOLEAN] (Optional) Embed every class's catalog details in each schedule
  * }
  * @param {*} res An array of schedules
  */
@@ -389,7 +976,11 @@ async function fetch_schedules_batch(req, res) {
     try {
         let verify_response = await accounts.verify_session(req.cookies["session"]);
         if (verify_response["valid"]) {
-            res.send(await accounts.fetch_schedules_batch(req.body.queries, req.body.dateRange, req.body.sortOption, req.body.matching, req.body.majors, req.body.universities, req.body.page));
+            let schedules = await accounts.fetch_schedules_batch(req.body.queries, req.body.dateRange, req.body.sortOption, req.body.matching, req.body.majors, req.body.universities, req.body.page);
+            if (req.body.details) {
+                schedules.forEach(accounts.attach_course_details);
+            }
+            res.send(schedules);
             return;
         } else {
             res.send({"info": "THE USER IS NOT SIGNED IN."});
@@ -446,12 +1037,27 @@ module.exports = {
     verify_session,
     post_schedule,
     query_data,
+    search_courses,
     get_user_schedules,
     create_schedule,
+    rename_schedule,
+    fork_schedule,
+    generate_plan,
     delete_schedule,
     fetch_schedule,
     edit_schedule,
+    undo_edit,
+    redo_edit,
+    restore_schedule,
+    validate_schedule,
+    evaluate_pattern,
+    audit_degree,
+    evaluate_preparation,
+    schedule_analytics,
+    compare_universities,
+    transfer_requirements,
     fetch_major_colleges,
+    reload_catalog,
     fetch_schedules_batch,
     fetch_user_profile,
     update_account
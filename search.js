@@ -0,0 +1,170 @@
+/**
+ * This file contains the ranked full-text course search used by the builder.
+ * Courses are ranked by how well the search terms match their AREA-ACR, NAME,
+ * department name and DESCRIPTION, with some tolerance for typos, so that a
+ * student can find "statistics" or "intro to programming" without knowing which
+ * department owns the course.
+ *
+ * @file search.js
+ * @version 10/19/2026
+ */
+
+// How much a match in each field of a course counts towards its score
+const FIELD_WEIGHTS = {
+    "ACR": 5,
+    "NAME": 3,
+    "AREA_NAME": 2,
+    "DESCRIPTION": 1
+};
+// Words that carry no meaning in a course search
+const STOP_WORDS = ["a", "an", "and", "the", "of", "to", "in", "for", "on", "with", "course", "class"];
+
+// Search tokens cached for every CLASSES array that has been searched
+const indexCache = new WeakMap();
+
+/**
+ * Split a piece of text into lowercase search tokens.
+ * @param {String} text
+ * @returns {Array} An array of tokens, without stop words
+ */
+function tokenize(text = "") {
+    return text.toLowerCase().split(/[^a-z0-9]+/).filter((token) => token != "" && !STOP_WORDS.includes(token));
+}
+
+/**
+ * Compute the edit (Levenshtein) distance between two strings, giving up
+ * once the distance is larger than the provided maximum.
+ * @param {String} a
+ * @param {String} b
+ * @param {Number} max The largest distance that matters
+ * @returns {Number} The distance, or max + 1 if it is larger than max
+ */
+function edit_distance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+    let previous = [];
+    for (let j = 0; j <= b.length; j++) {
+        previous.push(j);
+    }
+    for (let i = 1; i <= a.length; i++) {
+        let current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            let cost = a[i - 1] == b[j - 1] ? 0 : 1;
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Score how well a search term matches a single token of a course.
+ * Exact matches score 1, prefixes ("intro" for "introduction") 0.8 and
+ * small typos ("statistcs" for "statistics") 0.6 or 0.4, by how many edits
+ * they are away.
+ * @param {String} term
+ * @param {String} token
+ * @returns {Number} A score between 0 and 1
+ */
+function match_token(term, token) {
+    if (term == token) {
+        return 1;
+    }
+    if (term.length >= 3 && token.startsWith(term)) {
+        return 0.8;
+    }
+    if (term.length >= 4) {
+        let allowed = term.length >= 7 ? 2 : 1;
+        let distance = edit_distance(term, token, allowed);
+        if (distance <= allowed) {
+            return 0.8 - 0.2 * distance;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Build (or fetch from the cache) the search tokens of every course.
+ * @param {Array} classes The CLASSES array of a catalog
+ * @param {Array} areas The AREAS array of the same catalog
+ * @returns {Array} An array of {course, fields} objects, where fields maps each field to its tokens
+ */
+function build_index(classes, areas) {
+    if (indexCache.has(classes)) {
+        return indexCache.get(classes);
+    }
+    let areaNames = {};
+    for (let area of areas) {
+        areaNames[Object.keys(area)[0]] = Object.values(area)[0];
+    }
+    let index = [];
+    for (let course of classes) {
+        index.push({
+            course: course,
+            fields: {
+                "ACR": [...new Set(tokenize(course["AREA-ACR"]).concat([course["AREA-ACR"].toLowerCase()]))],
+                "NAME": [...new Set(tokenize(course["NAME"]))],
+                "AREA_NAME": [...new Set(tokenize(areaNames[course["AREA"]]))],
+                "DESCRIPTION": [...new Set(tokenize(course["DESCRIPTION"] || course["MISC"]))]
+            }
+        });
+    }
+    indexCache.set(classes, index);
+    return index;
+}
+
+/**
+ * Rank the courses of a catalog against a search query. Every term of the query
+ * adds the score of its best match in the course, weighted by the field it was
+ * found in. Courses that don't match at least half of the terms are left out.
+ *
+ * @param {JSON} data A normalized catalog (see catalog.js)
+ * @param {String} query The user's search, such as "intro to programming"
+ * @param {Number} limit The largest number of courses to return
+ * @returns {Array} An array of {course, score} objects in descending order of score
+ */
+function search_courses(data, query, limit = 25) {
+    let terms = [...new Set(tokenize(query))];
+    if (terms.length == 0) {
+        return [];
+    }
+    // A query like "math 101a" should also match the ACR "MATH-101A" as a whole
+    let wholeACR = query.trim().toLowerCase().replace(/\s+/g, "-");
+
+    let results = [];
+    for (let entry of build_index(data["CLASSES"], data["AREAS"])) {
+        let score = 0;
+        let matched = 0;
+        for (let term of terms) {
+            let best = 0;
+            for (let field of Object.keys(FIELD_WEIGHTS)) {
+                for (let token of entry.fields[field]) {
+                    best = Math.max(best, FIELD_WEIGHTS[field] * match_token(term, token));
+                }
+            }
+            if (best > 0) {
+                matched++;
+            }
+            score += best;
+        }
+        if (entry.course["AREA-ACR"].toLowerCase() == wholeACR) {
+            score += 10;
+        }
+        if (score > 0 && matched * 2 >= terms.length) {
+            results.push({course: entry.course, score: Math.round(score * 100) / 100});
+        }
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, limit);
+}
+
+module.exports = {
+    tokenize, edit_distance, search_courses
+}
@@ -0,0 +1,249 @@
+/**
+ * This file contains the checks run against a schedule's classes, such as
+ * whether every class's prerequisites are taken in an earlier term, and the
+ * validation report that runs every check at once (see validate_schedule). Checks
+ * return structured warnings, which are sent to the client alongside the
+ * schedule so that the builder can show them on the affected class cards:
+ * {
+ *      "type": "PREREQUISITE",
+ *      "acr": "MATH-101B",
+ *      "season": "Fall",
+ *      "year": 2022,
+ *      "missing": ["MATH-101A"],
+ *      "message": "MATH-101B requires MATH-101A in an earlier term"
+ * }
+ *
+ * @file validation.js
+ * @version 10/19/2026
+ */
+
+const catalog = require('./catalog.js');
+
+// The order of the seasons within a year
+const SEASON_ORDER = ["Spring", "Summer", "Fall"];
+// The most units a student may take in a term before it counts as an overload
+const MAX_TERM_UNITS = {"Spring": 18, "Summer": 9, "Fall": 18};
+
+/**
+ * Get a number that orders a term (SEASON and YEAR) among every other term.
+ * @param {JSON} semester A semester object of a schedule
+ * @returns {Number} A larger number for a later term
+ */
+function term_index(semester) {
+    return Number(semester["YEAR"]) * SEASON_ORDER.length + SEASON_ORDER.indexOf(semester["SEASON"]);
+}
+
+/**
+ * Get the term_index of the term in progress on a date. Spring runs through May,
+ * Summer through August and Fall through December.
+ * @param {Date} date (Optional) Defaults to now
+ * @returns {Number}
+ */
+function current_term_index(date = new Date()) {
+    let month = date.getMonth();
+    let season = month < 5 ? "Spring" : month < 8 ? "Summer" : "Fall";
+    return term_index({"SEASON": season, "YEAR": date.getFullYear()});
+}
+
+/**
+ * Check whether a class (or a class cross-listed with it) is taken before a term.
+ * @param {JSON} schedule
+ * @param {String} acr
+ * @param {Number} before The term_index that the class must be taken before
+ * @param {String} year The catalog year of the schedule
+ * @returns {Boolean}
+ */
+function taken_before(schedule, acr, before, year) {
+    return schedule["SEMESTERS"].some((semester) => term_index(semester) < before &&
+        semester["CLASSES"].some((other) => catalog.are_equivalent(acr, other, year)));
+}
+
+/**
+ * Check every class of a schedule against its prerequisites. A prerequisite
+ * group is met when one of its classes is taken in an earlier term.
+ * @param {JSON} schedule
+ * @returns {Array} A PREREQUISITE warning for every unmet prerequisite group of every class
+ */
+function check_prerequisites(schedule) {
+    let year = catalog.schedule_catalog_year(schedule);
+    let warnings = [];
+    for (let semester of schedule["SEMESTERS"]) {
+        let term = term_index(semester);
+        for (let acr of semester["CLASSES"]) {
+            let course = catalog.get_course(acr, year);
+            if (course == null) {
+                continue;
+            }
+            for (let group of course["PREREQUISITES"]) {
+                if (group.some((prerequisite) => taken_before(schedule, prerequisite, term, year))) {
+                    continue;
+                }
+                warnings.push({
+                    "type": "PREREQUISITE",
+                    "acr": acr,
+                    "season": semester["SEASON"],
+                    "year": semester["YEAR"],
+                    "missing": group,
+                    "message": acr + " requires " + group.join(" or ") + " in an earlier term"
+                });
+            }
+        }
+    }
+    return warnings;
+}
+
+/**
+ * Check a schedule for classes that are taken more than once, either under the
+ * same AREA-ACR or as a class cross-listed with one already taken.
+ * @param {JSON} schedule
+ * @returns {Array} A DUPLICATE warning for every repeat of a class, after its first term
+ */
+function check_duplicates(schedule) {
+    let year = catalog.schedule_catalog_year(schedule);
+    let semesters = schedule["SEMESTERS"].slice().sort((a, b) => term_index(a) - term_index(b));
+    let taken = [];
+    let warnings = [];
+    for (let semester of semesters) {
+        for (let acr of semester["CLASSES"]) {
+            let first = taken.find((other) => catalog.are_equivalent(acr, other["acr"], year));
+            if (first != undefined) {
+                let message = first["acr"] == acr ? acr + " is already taken in " :
+                    acr + " is cross-listed with " + first["acr"] + ", already taken in ";
+                warnings.push({
+                    "type": "DUPLICATE",
+                    "acr": acr,
+                    "season": semester["SEASON"],
+                    "year": semester["YEAR"],
+                    "equivalent": first["acr"],
+                    "message": message + first["season"] + " " + first["year"]
+                });
+                continue;
+            }
+            taken.push({"acr": acr, "season": semester["SEASON"], "year": semester["YEAR"]});
+        }
+    }
+    return warnings;
+}
+
+/**
+ * Check a schedule for classes that aren't in its catalog. A class that no catalog
+ * lists is UNKNOWN_COURSE, as is a class only listed in other catalog years. A class
+ * that the newest catalog dropped is REMOVED_COURSE.
+ * @param {JSON} schedule
+ * @returns {Array} An UNKNOWN_COURSE or REMOVED_COURSE warning for every such class
+ */
+function check_catalog(schedule) {
+    let year = catalog.schedule_catalog_year(schedule);
+    let newest = catalog.default_catalog_year();
+    let warnings = [];
+    for (let semester of schedule["SEMESTERS"]) {
+        for (let acr of semester["CLASSES"]) {
+            let listed = catalog.catalog_years().filter((other) => catalog.get_course(acr, other) != null);
+            let type = "UNKNOWN_COURSE";
+            let message;
+            if (listed.length == 0) {
+                message = acr + " is not in any catalog";
+            } else if (!listed.includes(newest)) {
+                type = "REMOVED_COURSE";
+                message = acr + " is no longer in the catalog (last listed in " + listed[listed.length - 1] + ")";
+            } else if (!listed.includes(year)) {
+                message = acr + " is not in the " + year + " catalog this schedule was built against";
+            } else {
+                continue;
+            }
+            warnings.push({"type": type, "acr": acr, "season": semester["SEASON"], "year": semester["YEAR"], "message": message});
+        }
+    }
+    return warnings;
+}
+
+/**
+ * Add up the units of every term of a schedule (classes not in its catalog count for nothing).
+ * @param {JSON} schedule
+ * @returns {Array} An array of {SEASON, YEAR, UNITS} objects, earliest term first
+ */
+function term_units(schedule) {
+    let year = catalog.schedule_catalog_year(schedule);
+    let semesters = schedule["SEMESTERS"].slice().sort((a, b) => term_index(a) - term_index(b));
+    return semesters.map((semester) => ({
+        "SEASON": semester["SEASON"],
+        "YEAR": semester["YEAR"],
+        "UNITS": semester["CLASSES"].reduce((units, acr) => {
+            let course = catalog.get_course(acr, year);
+            return units + (course == null ? 0 : course["UNITS"]);
+        }, 0)
+    }));
+}
+
+/**
+ * Check every term of a schedule against the most units a student may take in it.
+ * @param {JSON} schedule
+ * @returns {Array} An OVERLOAD warning for every overloaded term (these have no acr)
+ */
+function check_overloads(schedule) {
+    let warnings = [];
+    for (let term of term_units(schedule)) {
+        let limit = MAX_TERM_UNITS[term["SEASON"]];
+        if (limit != undefined && term["UNITS"] > limit) {
+            warnings.push({
+                "type": "OVERLOAD",
+                "acr": null,
+                "season": term["SEASON"],
+                "year": term["YEAR"],
+                "units": term["UNITS"],
+                "limit": limit,
+                "message": term["SEASON"] + " " + term["YEAR"] + " has " + term["UNITS"] + " units, more than the limit of " + limit
+            });
+        }
+    }
+    return warnings;
+}
+
+/**
+ * Run every check that concerns a single class of a schedule (everything but overloads),
+ * as shown on the class cards of the builder.
+ * @param {JSON} schedule
+ * @returns {Array} Every DUPLICATE, UNKNOWN_COURSE, REMOVED_COURSE and PREREQUISITE warning
+ */
+function check_classes(schedule) {
+    return [].concat(check_duplicates(schedule), check_catalog(schedule), check_prerequisites(schedule));
+}
+
+/**
+ * Run every check against a schedule and gather the results into a single report.
+ * @param {JSON} schedule
+ * @returns {JSON} An object of the following structure:
+ * {
+ *      NAME: [STRING],
+ *      CATALOG_YEAR: [STRING], The catalog year the schedule was checked against
+ *      VALID: true / false, (false if any problem was found)
+ *      COUNTS: {TYPE: [NUMBER]}, The number of problems of every type
+ *      TERM_UNITS: [{SEASON, YEAR, UNITS}],
+ *      PROBLEMS: [WARNING] Every problem found (see the top of this file)
+ * }
+ */
+function validate_schedule(schedule) {
+    let problems = [].concat(
+        check_duplicates(schedule),
+        check_catalog(schedule),
+        check_overloads(schedule),
+        check_prerequisites(schedule)
+    );
+    let counts = {"DUPLICATE": 0, "UNKNOWN_COURSE": 0, "REMOVED_COURSE": 0, "OVERLOAD": 0, "PREREQUISITE": 0};
+    for (let problem of problems) {
+        counts[problem["type"]]++;
+    }
+    return {
+        "NAME": schedule["NAME"],
+        "CATALOG_YEAR": catalog.schedule_catalog_year(schedule),
+        "VALID": problems.length == 0,
+        "COUNTS": counts,
+        "TERM_UNITS": term_units(schedule),
+        "PROBLEMS": problems
+    };
+}
+
+module.exports = {
+    SEASON_ORDER, MAX_TERM_UNITS, term_index, current_term_index, check_prerequisites, check_duplicates, check_catalog,
+    term_units, check_overloads, check_classes, validate_schedule
+}